@@ -0,0 +1,207 @@
+// Great-circle arcs between pairs of locations (flight routes, network links...), all batched into a single draw call
+
+import * as THREE from "three"
+import { parseCsv } from "./common-utils"
+import { latLonToVector3 } from "./geo-utils"
+import arcVertexShader from "./shaders/arc-vertex.glsl"
+import arcFragmentShader from "./shaders/arc-fragment.glsl"
+
+global.THREE = THREE
+
+// arcs take off from just above the cloud shell
+const ARC_BASE_RADIUS = 10.05
+
+/**
+ * @param {*} value a coordinate, as a number or as read from a CSV cell
+ * @param {number} limit the largest magnitude it may have, 90 for latitudes and 180 for longitudes
+ * @param {string} field name of the field, for the error message
+ * @returns {number}
+ */
+const parseCoordinate = (value, limit, field) => {
+    // Number() would take a missing or empty cell for 0
+    const number = value === undefined || value === null || String(value).trim() === "" ? NaN : Number(value)
+    if (!Number.isFinite(number) || Math.abs(number) > limit) {
+        throw new Error(`${field} must be a number between -${limit} and ${limit}, got '${value === undefined ? "" : value}'`)
+    }
+    return number
+}
+
+/**
+ * Turns a loosely shaped route into {from, to, color, width, data}, accepting either
+ * {from: {lat, lon}, to: {lat, lon}} or flat fromLat/fromLon/toLat/toLon fields (as in CSV rows)
+ * @param {object} route
+ * @returns {object} normalized route, throws when a coordinate is missing or isn't a number
+ */
+export const normalizeRoute = (route) => {
+    if (!route || typeof route !== "object") throw new Error("A route needs to be an object")
+    const from = route.from || { lat: route.fromLat, lon: route.fromLon }
+    const to = route.to || { lat: route.toLat, lon: route.toLon }
+    return {
+        from: { lat: parseCoordinate(from.lat, 90, "fromLat"), lon: parseCoordinate(from.lon, 180, "fromLon") },
+        to: { lat: parseCoordinate(to.lat, 90, "toLat"), lon: parseCoordinate(to.lon, 180, "toLon") },
+        color: route.color || "#ffcc66",
+        width: route.width !== undefined && route.width !== "" ? Number(route.width) : 2,
+        data: route.data !== undefined ? route.data : route
+    }
+}
+
+/**
+ * Loads routes from a CSV or JSON file, CSV needs a header with fromLat,fromLon,toLat,toLon and optionally color,width
+ * @param {string|File} source url or a File picked by the user
+ * @returns {Promise<object[]>} normalized routes, rejects naming the first row that isn't a valid route
+ */
+export const loadRoutes = async (source) => {
+    const isFile = source instanceof File
+    const name = isFile ? source.name : source
+    const text = isFile ? await source.text() : await (await fetch(source)).text()
+    const rows = /\.csv$/i.test(name) ? parseCsv(text) : JSON.parse(text)
+    if (!Array.isArray(rows)) throw new Error("The routes need to be an array")
+    return rows.map((row, i) => {
+        try {
+            return normalizeRoute(row)
+        } catch (error) {
+            throw new Error(`Route ${i + 1}: ${error.message}`)
+        }
+    })
+}
+
+/**
+ * Creates the arc layer, the arcs mesh is a child of the globe so it rotates along with it
+ * @param {object} globe the globe mesh, or a group turning with it, normally the overlays of the earth
+ * @param {object} uniforms shared uniform objects {arcOpacity, dashSize, dashGap, dashSpeed}, each in the form of { value }
+ * @param {number} heightFactor how high an arc rises per radian of great-circle distance
+ * @param {object} options (optional)
+ * @param {function} options.onChange called whenever the arcs got rebuilt, e.g. to request a redraw
+ * @returns {object} the layer
+ */
+export const createArcLayer = (globe, uniforms, heightFactor = 2.0, { onChange = () => { } } = {}) => {
+    let routes = []
+    const material = new THREE.ShaderMaterial({
+        vertexShader: arcVertexShader,
+        fragmentShader: arcFragmentShader,
+        uniforms: {
+            ...uniforms,
+            time: { value: 0 },
+            resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) }
+        },
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    })
+    const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material)
+    // the ribbon is expanded in the vertex shader so the bounding sphere of the raw geometry is not reliable
+    mesh.frustumCulled = false
+    globe.add(mesh)
+
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+    const p = new THREE.Vector3()
+    const color = new THREE.Color()
+
+    const rebuild = () => {
+        const positions = []
+        const prevs = []
+        const nexts = []
+        const sides = []
+        const dists = []
+        const colors = []
+        const widths = []
+        const indices = []
+        let vertexCount = 0
+
+        for (const route of routes) {
+            latLonToVector3(route.from.lat, route.from.lon, 1, a)
+            latLonToVector3(route.to.lat, route.to.lon, 1, b)
+            const omega = a.angleTo(b)
+            // skip degenerate routes: same start and end, or antipodal where the great circle is undefined
+            if (omega < 1e-6 || Math.PI - omega < 1e-6) continue
+
+            color.set(route.color)
+            const segments = Math.max(8, Math.ceil(omega / Math.PI * 96))
+            const points = []
+            for (let i = 0; i <= segments; i++) {
+                const t = i / segments
+                // spherical linear interpolation between the two unit vectors, then lifted in an arch
+                const sinOmega = Math.sin(omega)
+                p.copy(a).multiplyScalar(Math.sin((1 - t) * omega) / sinOmega)
+                    .addScaledVector(b, Math.sin(t * omega) / sinOmega)
+                    .multiplyScalar(ARC_BASE_RADIUS + heightFactor * omega * Math.sin(Math.PI * t))
+                points.push(p.clone())
+            }
+
+            let dist = 0
+            for (let i = 0; i <= segments; i++) {
+                if (i > 0) dist += points[i].distanceTo(points[i - 1])
+                const prev = points[Math.max(i - 1, 0)]
+                const next = points[Math.min(i + 1, segments)]
+                for (const side of [-1, 1]) {
+                    positions.push(points[i].x, points[i].y, points[i].z)
+                    prevs.push(prev.x, prev.y, prev.z)
+                    nexts.push(next.x, next.y, next.z)
+                    sides.push(side)
+                    dists.push(dist)
+                    colors.push(color.r, color.g, color.b)
+                    widths.push(route.width)
+                }
+                if (i < segments) {
+                    const v = vertexCount + i * 2
+                    indices.push(v, v + 1, v + 2, v + 1, v + 3, v + 2)
+                }
+            }
+            vertexCount += (segments + 1) * 2
+        }
+
+        const geometry = new THREE.BufferGeometry()
+        geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3))
+        geometry.setAttribute("prev", new THREE.Float32BufferAttribute(prevs, 3))
+        geometry.setAttribute("next", new THREE.Float32BufferAttribute(nexts, 3))
+        geometry.setAttribute("side", new THREE.Float32BufferAttribute(sides, 1))
+        geometry.setAttribute("arcDist", new THREE.Float32BufferAttribute(dists, 1))
+        geometry.setAttribute("arcColor", new THREE.Float32BufferAttribute(colors, 3))
+        geometry.setAttribute("arcWidth", new THREE.Float32BufferAttribute(widths, 1))
+        // Uint32 indices are needed once we go past 65k vertices, i.e. a few hundred long arcs
+        geometry.setIndex(vertexCount > 65535 ? new THREE.Uint32BufferAttribute(indices, 1) : new THREE.Uint16BufferAttribute(indices, 1))
+        mesh.geometry.dispose()
+        mesh.geometry = geometry
+        onChange()
+    }
+
+    return {
+        mesh,
+        /**
+         * @param {object[]} newRoutes routes in any shape accepted by normalizeRoute, replacing the current ones
+         */
+        setRoutes(newRoutes) {
+            routes = newRoutes.map(normalizeRoute)
+            rebuild()
+        },
+        addRoutes(newRoutes) {
+            routes = routes.concat(newRoutes.map(normalizeRoute))
+            rebuild()
+        },
+        clear() {
+            routes = []
+            rebuild()
+        },
+        // number of routes drawn
+        get count() {
+            return routes.length
+        },
+        setHeightFactor(factor) {
+            heightFactor = factor
+            rebuild()
+        },
+        setSize(width, height) {
+            material.uniforms.resolution.value.set(width, height)
+        },
+        // @param {number} elapsed - seconds, drives the dash flow
+        update(elapsed) {
+            material.uniforms.time.value = elapsed
+        },
+        dispose() {
+            globe.remove(mesh)
+            mesh.geometry.dispose()
+            material.dispose()
+        }
+    }
+}
@@ -0,0 +1,197 @@
+// Low precision solar ephemeris, good to about 0.01 degree between 1950 and 2050,
+// see https://aa.usno.navy.mil/faq/sun_approx
+// and a lunar ephemeris, the truncated ELP-2000/82 series of Jean Meeus' Astronomical Algorithms (chapter 47),
+// good to about 10" in longitude and 4" in latitude
+
+import * as THREE from "three"
+
+global.THREE = THREE
+
+const { degToRad, radToDeg, euclideanModulo } = THREE.MathUtils
+
+/**
+ * @param {Date} date
+ * @returns {number} number of days (fractional) since the J2000.0 epoch
+ */
+export const daysSinceJ2000 = (date) => {
+    // 2440587.5 is the Julian Date of the unix epoch, 2451545.0 is the Julian Date of J2000.0
+    return date.getTime() / 86400000 + 2440587.5 - 2451545.0
+}
+
+/**
+ * Computes where the sun is in the sky for a given moment
+ * @param {Date} date UTC date/time
+ * @returns {object} {declination, rightAscension, eclipticLongitude, equationOfTime, distance}, the first three in degrees,
+ * equationOfTime in minutes, distance in astronomical units
+ */
+export const getSolarPosition = (date) => {
+    const n = daysSinceJ2000(date)
+    // mean longitude and mean anomaly of the sun
+    const L = euclideanModulo(280.459 + 0.98564736 * n, 360)
+    const g = degToRad(euclideanModulo(357.529 + 0.98560028 * n, 360))
+    // ecliptic longitude of the sun and obliquity of the ecliptic
+    const lambda = degToRad(L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g))
+    const epsilon = degToRad(23.439 - 0.00000036 * n)
+
+    const declination = radToDeg(Math.asin(Math.sin(epsilon) * Math.sin(lambda)))
+    const rightAscension = euclideanModulo(radToDeg(Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda))), 360)
+    // mean minus apparent right ascension, wrapped to -180..180 then converted into minutes (4 minutes per degree)
+    const equationOfTime = 4 * (euclideanModulo(L - rightAscension + 180, 360) - 180)
+    const distance = 1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g)
+
+    const eclipticLongitude = euclideanModulo(radToDeg(lambda), 360)
+
+    return { declination, rightAscension, eclipticLongitude, equationOfTime, distance }
+}
+
+/**
+ * The subsolar point is where the sun is directly overhead, i.e. the center of the lit hemisphere
+ * @param {Date} date UTC date/time
+ * @returns {object} {lat, lon} in degrees
+ */
+export const getSubsolarPoint = (date) => {
+    const { declination, equationOfTime } = getSolarPosition(date)
+    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600 + date.getUTCMilliseconds() / 3600000
+    // at 12:00 mean solar time the sun is over Greenwich, it then moves 15 degrees westward every hour,
+    // the equation of time corrects for the difference between mean and apparent solar time
+    const lon = euclideanModulo(-15 * (utcHours - 12) - equationOfTime / 4 + 180, 360) - 180
+    return { lat: declination, lon }
+}
+
+/**
+ * Greenwich Mean Sidereal Time, i.e. the angle between the vernal equinox and the Greenwich meridian,
+ * which is how far the earth has rotated relative to the stars
+ * @param {Date} date UTC date/time
+ * @returns {number} GMST in degrees, 0..360
+ */
+export const getGMST = (date) => {
+    const n = daysSinceJ2000(date)
+    const T = n / 36525 // Julian centuries since J2000.0
+    return euclideanModulo(280.46061837 + 360.98564736629 * n + 0.000387933 * T * T, 360)
+}
+
+// TT - UTC in seconds, the lunar series runs on Terrestrial Time and the moon moves about its own diameter in an hour,
+// this is its value in the 2020s, good enough for a decade or two around
+const DELTA_T = 69
+
+// periodic terms of the moon's longitude and distance: multiples of D, M, M', F,
+// then the coefficients of the sine of the argument for the longitude (1e-6 degree) and of its cosine for the distance (1e-3 km)
+const LUNAR_LR_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884], [0, 1, 2, 0, -2120, 5751],
+    [0, 2, 0, 0, -2069, 0], [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958], [0, 0, 2, 2, -1110, 0],
+    [3, 0, -1, 0, -892, 3258], [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354], [2, 1, -2, 0, 691, 0],
+    [2, -1, 0, -2, 596, 0], [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739], [2, 1, 0, -2, -399, 0],
+    [0, 0, 2, -2, -381, -4421], [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0], [0, 2, 1, 0, -323, 1165],
+    [1, 1, -1, 0, 299, 0], [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+]
+
+// periodic terms of the moon's latitude: multiples of D, M, M', F, then the coefficient of the sine (1e-6 degree)
+const LUNAR_B_TERMS = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833], [0, 0, 1, -3, 777], [4, 0, -2, 1, 671],
+    [2, 0, 0, -3, 607], [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421], [2, 1, -1, 1, -366],
+    [2, 1, 0, 1, -351], [4, 0, 0, 1, 331], [2, -1, 1, 1, 315], [2, -2, 0, -1, 302],
+    [0, 0, 1, 3, -283], [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185], [2, -1, -2, -1, 181],
+    [0, 1, 2, 1, -177], [4, 0, -2, -1, 176], [4, -1, -1, -1, 166], [1, 0, 1, -1, -164],
+    [4, 0, 1, -1, 132], [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+]
+
+/**
+ * Computes where the moon is for a given moment, as seen from the center of the earth
+ * @param {Date} date UTC date/time
+ * @returns {object} {declination, rightAscension, distance}, the first two in degrees, distance in km
+ */
+export const getLunarPosition = (date) => {
+    const T = (daysSinceJ2000(date) + DELTA_T / 86400) / 36525 // Julian centuries (TT) since J2000.0
+    const T2 = T * T
+    const T3 = T2 * T
+    const T4 = T3 * T
+    // mean longitude of the moon, mean elongation of the moon, mean anomalies of the sun and of the moon,
+    // and the moon's argument of latitude (mean distance from its ascending node)
+    const Lp = euclideanModulo(218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000, 360)
+    const D = euclideanModulo(297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000, 360)
+    const M = euclideanModulo(357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000, 360)
+    const Mp = euclideanModulo(134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000, 360)
+    const F = euclideanModulo(93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000, 360)
+    // further arguments, due to the action of Venus, Jupiter and the flattening of the earth
+    const A1 = 119.75 + 131.849 * T
+    const A2 = 53.09 + 479264.290 * T
+    const A3 = 313.45 + 481266.484 * T
+    // the eccentricity of the earth's orbit decreases, weakening the terms involving the sun's mean anomaly
+    const E = 1 - 0.002516 * T - 0.0000074 * T2
+
+    const argument = (d, m, mp, f) => degToRad(d * D + m * M + mp * Mp + f * F)
+    let sumL = 0
+    let sumR = 0
+    let sumB = 0
+    for (const [d, m, mp, f, l, r] of LUNAR_LR_TERMS) {
+        const e = Math.pow(E, Math.abs(m))
+        const arg = argument(d, m, mp, f)
+        sumL += l * e * Math.sin(arg)
+        sumR += r * e * Math.cos(arg)
+    }
+    for (const [d, m, mp, f, b] of LUNAR_B_TERMS) {
+        sumB += b * Math.pow(E, Math.abs(m)) * Math.sin(argument(d, m, mp, f))
+    }
+    const sin = (deg) => Math.sin(degToRad(deg))
+    sumL += 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2)
+    sumB += -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F) + 127 * sin(Lp - Mp) - 115 * sin(Lp + Mp)
+
+    // ecliptic longitude and latitude, then converted into equatorial coordinates
+    const lambda = degToRad(Lp + sumL / 1e6)
+    const beta = degToRad(sumB / 1e6)
+    const distance = 385000.56 + sumR / 1000
+    const epsilon = degToRad(23.439291 - 0.0130042 * T)
+
+    const declination = radToDeg(Math.asin(Math.sin(beta) * Math.cos(epsilon) + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda)))
+    const rightAscension = euclideanModulo(radToDeg(Math.atan2(
+        Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon),
+        Math.cos(lambda)
+    )), 360)
+
+    return { declination, rightAscension, distance }
+}
+
+/**
+ * Phase of the moon, from the angle between the sun and the moon as seen from the earth
+ * @param {Date} date UTC date/time
+ * @returns {object} {illumination, phaseAngle, waxing}, illumination as the lit fraction of the disk 0..1,
+ * phaseAngle in degrees (0 at full moon, 180 at new moon)
+ */
+export const getMoonPhase = (date) => {
+    const sun = getSolarPosition(date)
+    const moon = getLunarPosition(date)
+    const [as, ds, am, dm] = [sun.rightAscension, sun.declination, moon.rightAscension, moon.declination].map(degToRad)
+    // elongation of the moon from the sun
+    const psi = Math.acos(THREE.MathUtils.clamp(Math.sin(ds) * Math.sin(dm) + Math.cos(ds) * Math.cos(dm) * Math.cos(as - am), -1, 1))
+    const sunDistance = sun.distance * 149597870.7
+    const phaseAngle = Math.atan2(sunDistance * Math.sin(psi), moon.distance - sunDistance * Math.cos(psi))
+    return {
+        illumination: (1 + Math.cos(phaseAngle)) / 2,
+        phaseAngle: radToDeg(phaseAngle),
+        // the moon waxes while it's east of the sun
+        waxing: euclideanModulo(am - as, 2 * Math.PI) < Math.PI
+    }
+}
@@ -0,0 +1,184 @@
+// Celestial bodies the globe can show: the earth is one preset among others, each drawn at the same radius of 10 units
+
+import * as THREE from "three"
+import { daysSinceJ2000, getGMST } from "./astro-utils"
+import Albedo from "./assets/Albedo.jpg"
+import Bump from "./assets/Bump.jpg"
+import Clouds from "./assets/Clouds.png"
+import Ocean from "./assets/Ocean.png"
+import NightLights from "./assets/night_lights_modified.png"
+
+global.THREE = THREE
+
+const { degToRad, euclideanModulo } = THREE.MathUtils
+
+/**
+ * A body is described by:
+ * - id, name
+ * - radius: in km, it is drawn at 10 units whatever its size, this only scales the heights (e.g. of the atmosphere)
+ * - axialTilt: in degrees, between its equator and its orbit
+ * - rotationPeriod: sidereal, in hours, and primeMeridian: the angle of its prime meridian at J2000, in degrees
+ * - textures: a loadAssets manifest of its maps, the color map (map) and optionally bumpMap, oceanMap (white where water is) and lightsMap,
+ *   the earth's are bundled, the urls of the others are file names loaded at runtime from an asset base url, see getBodyManifest
+ * - bumpScale
+ * - reliefHeight: (optional) in km, the height white stands for in the bump map, for the relief mode (see relief.js)
+ * - clouds: (optional) { map } a loadAssets entry of the cloud map, see cloud-sequence.js
+ * - atmosphere: (optional) the scattering params of createParams, and how many times its height is exaggerated (heightScale)
+ *   and how high its shell goes (thickness, in km), airless bodies get no scattering at all
+ * - rings: (optional) { texture, innerRadius, outerRadius }, texture being a loadAssets entry of a strip going from the inner to the outer edge,
+ *   whose alpha is the opacity of the rings, and the radii in km, see rings.js
+ * - moon: whether the moon of moon.js orbits it
+ *
+ * Other bodies are drawn in place of the earth, with the sun and the stars as seen from the earth,
+ * only the orientation of their pole (axialTilt) is their own
+ */
+export const BODY_PRESETS = {
+    earth: {
+        id: "earth",
+        name: "Earth",
+        radius: 6371,
+        axialTilt: 23.44,
+        // the rotation model of GMST, see getGMST
+        rotationPeriod: 23.9344696,
+        primeMeridian: 280.46061837,
+        textures: {
+            map: { url: Albedo, fallback: [30, 60, 110, 255] },
+            bumpMap: { url: Bump, fallback: [0, 0, 0, 255] }, // flat
+            oceanMap: { url: Ocean, fallback: [255, 255, 255, 255] }, // all ocean, matching the blue albedo
+            lightsMap: { url: NightLights, fallback: [0, 0, 0, 255] } // no city lights
+        },
+        bumpScale: 0.03,
+        reliefHeight: 6.4,
+        clouds: { map: { url: Clouds, fallback: [0, 0, 0, 255] } }, // clear skies
+        atmosphere: {
+            heightScale: 19.1,
+            thickness: 83,
+            rayleighRed: 5.8,
+            rayleighGreen: 13.5,
+            rayleighBlue: 33.1,
+            mieCoefficient: 21.0,
+            rayleighScaleHeight: 8.0,
+            mieScaleHeight: 1.2,
+            mieAnisotropy: 0.76,
+            atmSunIntensity: 20.0
+        },
+        rings: null,
+        moon: true
+    },
+    mars: {
+        id: "mars",
+        name: "Mars",
+        radius: 3389.5,
+        axialTilt: 25.19,
+        rotationPeriod: 24.6229,
+        primeMeridian: 176.63,
+        textures: {
+            map: { url: "Mars.jpg", fallback: [170, 90, 50, 255] }
+        },
+        bumpScale: 0.03,
+        clouds: null,
+        // a thin atmosphere, whose dust scatters the reds the most and glows blue around the setting sun
+        atmosphere: {
+            heightScale: 8,
+            thickness: 100,
+            rayleighRed: 19.9,
+            rayleighGreen: 13.6,
+            rayleighBlue: 5.8,
+            mieCoefficient: 8.0,
+            rayleighScaleHeight: 11.1,
+            mieScaleHeight: 11.1,
+            mieAnisotropy: 0.65,
+            atmSunIntensity: 10.0
+        },
+        rings: null,
+        moon: false
+    },
+    moon: {
+        id: "moon",
+        name: "Moon",
+        radius: 1737.4,
+        axialTilt: 1.54,
+        rotationPeriod: 655.72,
+        primeMeridian: 38.3213,
+        textures: {
+            map: { url: "Moon.jpg", fallback: [128, 128, 128, 255] }
+        },
+        bumpScale: 0.03,
+        clouds: null,
+        atmosphere: null,
+        rings: null,
+        moon: false
+    },
+    saturn: {
+        id: "saturn",
+        name: "Saturn",
+        radius: 58232,
+        axialTilt: 26.73,
+        rotationPeriod: 10.656,
+        primeMeridian: 38.9,
+        textures: {
+            map: { url: "Saturn.jpg", fallback: [210, 190, 150, 255] }
+        },
+        bumpScale: 0,
+        clouds: null,
+        // the haze over the cloud tops, too thin to exaggerate much at this size
+        atmosphere: {
+            heightScale: 10,
+            thickness: 1000,
+            rayleighRed: 2.0,
+            rayleighGreen: 2.6,
+            rayleighBlue: 3.6,
+            mieCoefficient: 2.0,
+            rayleighScaleHeight: 60,
+            mieScaleHeight: 40,
+            mieAnisotropy: 0.7,
+            atmSunIntensity: 15.0
+        },
+        // from the inner edge of the C ring to the F ring
+        rings: { texture: { url: "SaturnRings.png", fallback: [200, 180, 150, 128] }, innerRadius: 74500, outerRadius: 140220 },
+        moon: false
+    }
+}
+
+/**
+ * @param {object} body one of BODY_PRESETS
+ * @param {string|URL} assetBase (optional) absolute url the file names of the textures that aren't bundled are relative to
+ * @returns {object} loadAssets manifest of all its textures: map, and those of bumpMap, oceanMap, lightsMap, cloudsMap and ringMap it has
+ */
+export const getBodyManifest = (body, assetBase = document.baseURI) => {
+    const manifest = {
+        ...body.textures,
+        ...(body.clouds ? { cloudsMap: body.clouds.map } : {}),
+        ...(body.rings ? { ringMap: body.rings.texture } : {})
+    }
+    // the urls of bundled assets are absolute already and stay as they are
+    return Object.fromEntries(Object.entries(manifest).map(([key, entry]) => [key, { ...entry, url: new URL(entry.url, assetBase).href }]))
+}
+
+/**
+ * @param {object} body one of BODY_PRESETS
+ * @returns {number} how many scene units a km of height is drawn as, the atmosphere being exaggerated to be seen at all
+ */
+export const getBodyKmToUnits = (body) => {
+    return 10 / body.radius * (body.atmosphere ? body.atmosphere.heightScale : 1)
+}
+
+/**
+ * @param {object} body one of BODY_PRESETS
+ * @param {number} exaggeration how many times its true height the relief is drawn
+ * @returns {number} the height in scene units white in the bump map stands for, 0 for bodies without a relief
+ */
+export const getBodyReliefScale = (body, exaggeration) => {
+    return (body.reliefHeight || 0) * 10 / body.radius * exaggeration
+}
+
+/**
+ * @param {object} body one of BODY_PRESETS
+ * @param {Date} date simulation time
+ * @returns {number} in radians, how far the body has turned about its axis, i.e. the angle of its prime meridian from the vernal equinox
+ */
+export const getBodyRotation = (body, date) => {
+    // the earth's sidereal time has a more precise model
+    if (body.id === "earth") return degToRad(getGMST(date))
+    return degToRad(euclideanModulo(body.primeMeridian + 360 * 24 / body.rotationPeriod * daysSinceJ2000(date), 360))
+}
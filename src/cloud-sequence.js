@@ -0,0 +1,127 @@
+// Time-varying clouds: a sequence of timestamped cloud images crossfaded according to the simulation time
+
+import * as THREE from "three"
+import { loadTexture } from "./common-utils"
+
+global.THREE = THREE
+
+/**
+ * Reads a UTC timestamp out of a file name, e.g. "clouds_2024-04-08T18.png", "clouds_20240408_1800.png"
+ * @param {string} name file name
+ * @returns {number|null} milliseconds since the unix epoch, null if there's no timestamp
+ */
+export const timeFromFileName = (name) => {
+    const match = /(\d{4})-?(\d{2})-?(\d{2})[T_ -]?(\d{2})(?::?(\d{2}))?/.exec(name)
+    if (!match) return null
+    const [, year, month, day, hour, minute = "00"] = match
+    return Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute))
+}
+
+/**
+ * Creates the cloud sequence, holding the uniforms shared by the cloud shell and the cloud shadows on the earth
+ * @param {THREE.Texture} staticMap the cloud map used when no sequence is loaded
+ * @returns {object} the sequence
+ */
+export const createCloudSequence = (staticMap) => {
+    // sorted by time, each as {time, texture}
+    let frames = []
+
+    const prepare = (texture) => {
+        // RepeatWrapping, as the shadow lookup in the earth shader offsets uv.x beyond the 0..1 range
+        texture.wrapS = THREE.RepeatWrapping
+        return texture
+    }
+    prepare(staticMap)
+
+    const uniforms = {
+        tClouds: { value: staticMap },
+        tCloudsNext: { value: staticMap },
+        cloudsMix: { value: 0 }
+    }
+
+    const clear = () => {
+        frames.forEach((frame) => frame.texture.dispose())
+        frames = []
+        uniforms.tClouds.value = staticMap
+        uniforms.tCloudsNext.value = staticMap
+        uniforms.cloudsMix.value = 0
+    }
+
+    return {
+        uniforms,
+        /**
+         * @param {object[]} newFrames each as {time, texture}, time as a Date or milliseconds since the unix epoch
+         */
+        setFrames(newFrames) {
+            clear()
+            frames = newFrames
+                .map(({ time, texture }) => ({ time: time instanceof Date ? time.getTime() : time, texture: prepare(texture) }))
+                .sort((a, b) => a.time - b.time)
+        },
+        /**
+         * Loads a sequence from a manifest like { "frames": [{ "time": "2024-04-08T00:00Z", "url": "clouds_00.png" }] },
+         * urls are relative to the manifest
+         * @param {string} url url of the manifest
+         * @returns {Promise}
+         */
+        async loadManifest(url) {
+            const manifest = await (await fetch(url)).json()
+            const base = new URL(url, window.location.href)
+            const loaded = await Promise.all(manifest.frames.map(async (frame) => ({
+                time: new Date(frame.time).getTime(),
+                texture: await loadTexture(new URL(frame.url, base).href)
+            })))
+            this.setFrames(loaded)
+        },
+        /**
+         * Loads a sequence from image files picked by the user, timestamps come from the file names
+         * @param {File[]} files
+         * @returns {Promise<string[]>} names of the files skipped for lacking a timestamp
+         */
+        async loadFiles(files) {
+            const skipped = files.filter((file) => timeFromFileName(file.name) === null).map((file) => file.name)
+            const loaded = await Promise.all(files
+                .filter((file) => timeFromFileName(file.name) !== null)
+                .map(async (file) => {
+                    const url = URL.createObjectURL(file)
+                    const texture = await loadTexture(url)
+                    URL.revokeObjectURL(url)
+                    return { time: timeFromFileName(file.name), texture }
+                }))
+            this.setFrames(loaded)
+            return skipped
+        },
+        clear,
+        /**
+         * Replaces the cloud map used when no sequence is loaded, e.g. for the clouds of another body
+         * @param {THREE.Texture} texture
+         */
+        setStaticMap(texture) {
+            staticMap = prepare(texture)
+            if (frames.length === 0) clear()
+        },
+        get frameCount() {
+            return frames.length
+        },
+        /**
+         * Picks the two frames around the given time and how far we are between them
+         * @param {Date} date simulation time
+         */
+        update(date) {
+            if (frames.length === 0) return
+            const t = date.getTime()
+            // index of the last frame at or before t, clamped to the ends of the sequence
+            let i = frames.findIndex((frame) => frame.time > t) - 1
+            if (i === -2) i = frames.length - 1
+            i = Math.max(i, 0)
+            const from = frames[i]
+            const to = frames[Math.min(i + 1, frames.length - 1)]
+            uniforms.tClouds.value = from.texture
+            uniforms.tCloudsNext.value = to.texture
+            uniforms.cloudsMix.value = to === from ? 0 : THREE.MathUtils.clamp((t - from.time) / (to.time - from.time), 0, 1)
+        },
+        dispose() {
+            clear()
+        }
+    }
+}
@@ -28,21 +28,83 @@ export const hexToRgb = (hex, forShaders = false) => {
 
 /**
  * @param {string} url - Path to equirectandular .hdr
- * @returns {Promise<THREE.Texture>}
+ * @param {THREE.LoadingManager} manager - (optional) manager to report to
+ * @returns {Promise<THREE.Texture>} rejects if the file can't be loaded
  */
-export const loadHDRI = (url) => {
-    return new Promise((resolve) => {
-        const hdrEquirect = new RGBELoader().load(url, function () {
+export const loadHDRI = (url, manager = THREE.DefaultLoadingManager) => {
+    return new Promise((resolve, reject) => {
+        const hdrEquirect = new RGBELoader(manager).load(url, function () {
             hdrEquirect.mapping = THREE.EquirectangularReflectionMapping
             resolve(hdrEquirect)
-        })
+        }, undefined, reject)
     })
 }
 
+/**
+ * Fetches a file while reporting the bytes received so far
+ * @param {string} url
+ * @param {object} options (optional)
+ * @param {number} options.timeout - milliseconds without receiving any data after which the request gets aborted
+ * @param {function} options.onProgress - called with (loaded, total) in bytes, total is 0 when the server doesn't tell
+ * @returns {Promise<Blob>} rejects on network errors, HTTP errors and timeouts
+ */
+export const fetchWithProgress = async (url, { timeout = 15000, onProgress = () => { } } = {}) => {
+    const controller = new AbortController()
+    let timer = setTimeout(() => controller.abort(), timeout)
+    // the timeout restarts whenever data comes in, so large files on slow connections aren't cut off
+    const keepAlive = () => {
+        clearTimeout(timer)
+        timer = setTimeout(() => controller.abort(), timeout)
+    }
+    try {
+        const response = await fetch(url, { signal: controller.signal })
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`)
+        }
+        const total = Number(response.headers.get("Content-Length")) || 0
+        const reader = response.body.getReader()
+        const chunks = []
+        let loaded = 0
+        onProgress(loaded, total)
+        for (;;) {
+            const { done, value } = await reader.read()
+            if (done) break
+            keepAlive()
+            chunks.push(value)
+            loaded += value.length
+            onProgress(loaded, total)
+        }
+        return new Blob(chunks, { type: response.headers.get("Content-Type") || "" })
+    } catch (error) {
+        throw controller.signal.aborted ? new Error(`no data received for ${timeout / 1000}s`) : error
+    } finally {
+        clearTimeout(timer)
+    }
+}
+
+/**
+ * Decodes an image blob into a texture
+ * @param {Blob} blob
+ * @returns {Promise<THREE.Texture>}
+ */
+const textureFromBlob = async (blob) => {
+    const image = new Image()
+    image.src = URL.createObjectURL(blob)
+    try {
+        await image.decode()
+    } finally {
+        URL.revokeObjectURL(image.src)
+    }
+    const texture = new THREE.Texture(image)
+    texture.needsUpdate = true
+    return texture
+}
+
 /**
  * 
  * @param {string} url - Path to the texture, could be a locally imported image or a remote url
- * @returns {Promise<THREE.Texture>}
+ * @param {object} options - (optional) {timeout, onProgress}, see fetchWithProgress
+ * @returns {Promise<THREE.Texture>} rejects if the file can't be loaded or decoded
  * 
  * Usage:
  * const tex = await loadTexture(ImageUrl)
@@ -52,31 +114,104 @@ export const loadHDRI = (url) => {
  *     new THREE.MeshBasicMaterial({ map: tex })
  * )
  */
-export const loadTexture = async (url) => {
-    let textureLoader = new THREE.TextureLoader()
-    return new Promise(resolve => {
-        textureLoader.load(url, texture => {
-            resolve(texture)
-        })
-    })
+export const loadTexture = async (url, options = {}) => {
+    return textureFromBlob(await fetchWithProgress(url, options))
+}
+
+/**
+ * A tiny single colored texture, standing in for textures that failed to load
+ * @param {number[]} rgba color components in the range of 0..255
+ * @returns {THREE.DataTexture}
+ */
+export const createPlaceholderTexture = (rgba = [128, 128, 128, 255]) => {
+    const texture = new THREE.DataTexture(new Uint8Array(rgba), 1, 1)
+    texture.needsUpdate = true
+    return texture
+}
+
+/**
+ * Loads all the textures of a manifest in parallel, retrying failed ones and falling back to placeholders
+ * @param {object} manifest - { key: { url, fallback } }, fallback being the rgba color of the placeholder texture
+ * @param {object} options - (optional)
+ * @param {THREE.LoadingManager} options.manager - manager to report the start/end/failure of each asset to, a new one by default
+ * @param {function} options.onProgress - called with (fraction, loaded, total), byte based once the sizes of all assets are known
+ * @param {function} options.onError - called with (key, url, error) for each asset that gave up and got replaced by its placeholder
+ * @param {number} options.retries - number of retries per asset
+ * @param {number} options.retryDelay - milliseconds to wait before the first retry, doubling with each retry
+ * @param {number} options.timeout - see fetchWithProgress
+ * @returns {Promise<object>} { key: texture }, never rejects
+ * 
+ * Usage:
+ * const { albedo } = await loadAssets({ albedo: { url: Albedo, fallback: [30, 60, 110, 255] } }, {
+ *     onProgress: (frac) => updateLoadingProgressBar(frac)
+ * })
+ */
+export const loadAssets = async (manifest, { manager = new THREE.LoadingManager(), onProgress = () => { }, onError = () => { }, retries = 2, retryDelay = 500, timeout = 15000 } = {}) => {
+    const entries = Object.entries(manifest)
+    const progress = Object.fromEntries(entries.map(([key]) => [key, { loaded: 0, total: 0, done: false }]))
+
+    const report = () => {
+        const states = Object.values(progress)
+        const loaded = states.reduce((sum, p) => sum + p.loaded, 0)
+        const total = states.reduce((sum, p) => sum + p.total, 0)
+        // bytes can only be compared once every asset has told us its size, until then count finished assets
+        const fraction = states.every((p) => p.total > 0 || p.done)
+            ? (total > 0 ? loaded / total : 1)
+            : states.filter((p) => p.done).length / states.length
+        onProgress(Math.min(fraction, 1), loaded, total)
+    }
+
+    const textures = await Promise.all(entries.map(async ([key, { url, fallback }]) => {
+        manager.itemStart(url)
+        let lastError = null
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            // backs off before retrying, the failure may be a server or a connection that needs a moment
+            if (attempt > 0) await new Promise((resolve) => setTimeout(resolve, retryDelay * 2 ** (attempt - 1)))
+            try {
+                const texture = await loadTexture(url, {
+                    timeout,
+                    onProgress: (loaded, total) => {
+                        Object.assign(progress[key], { loaded, total })
+                        report()
+                    }
+                })
+                Object.assign(progress[key], { done: true, total: progress[key].total || progress[key].loaded })
+                report()
+                manager.itemEnd(url)
+                return texture
+            } catch (error) {
+                lastError = error
+            }
+        }
+        manager.itemError(url)
+        manager.itemEnd(url)
+        // a failed asset counts as done, with nothing more to download
+        Object.assign(progress[key], { done: true, total: progress[key].loaded })
+        report()
+        onError(key, url, lastError)
+        return createPlaceholderTexture(fallback)
+    }))
+
+    return Object.fromEntries(entries.map(([key], i) => [key, textures[i]]))
 }
 
 /**
  * 
  * @param {string} url - Path to locally imported glb or remote url
- * @returns {Promise<Object>}
+ * @param {THREE.LoadingManager} manager - (optional) manager to report to
+ * @returns {Promise<Object>} rejects if the file can't be loaded
  * 
  * Usage:
  * let { model } = await this.loadModel(ModelUrl)
  * scene.add(model)
  */
-export const loadModel = async (url) => {
-    let modelLoader = new GLTFLoader()
-    return new Promise(resolve => {
+export const loadModel = async (url, manager = THREE.DefaultLoadingManager) => {
+    let modelLoader = new GLTFLoader(manager)
+    return new Promise((resolve, reject) => {
         modelLoader.load(url, gltf => {
             const result = { model: gltf.scene }
             resolve(result)
-        })
+        }, undefined, reject)
     })
 }
 
@@ -116,4 +251,83 @@ export const maintainBgAspect = (scene, backgroundImageWidth, backgroundImageHei
         scene.background.repeat.x = factor > 1 ? 1 / factor : 1
         scene.background.repeat.y = factor > 1 ? 1 : factor
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Opens the browser's file dialog, useful for loading local data files from dat.GUI buttons
+ * @param {string} accept file types to accept, same format as the accept attribute of <input type="file">
+ * @param {bool} multiple whether more than one file can be chosen
+ * @returns {Promise<File[]>} the chosen files, empty if the dialog got cancelled
+ */
+export const pickFiles = (accept = "", multiple = false) => {
+    return new Promise(resolve => {
+        const input = document.createElement("input")
+        input.type = "file"
+        input.accept = accept
+        input.multiple = multiple
+        input.addEventListener("change", () => resolve(Array.from(input.files)))
+        input.addEventListener("cancel", () => resolve([]))
+        input.click()
+    })
+}
+
+/**
+ * Offers data as a JSON file download, e.g. presets or tours
+ * @param {object} data anything JSON-able
+ * @param {string} name file name, without the extension
+ */
+export const downloadJson = (data, name) => {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" })
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = `${name.replace(/[^\w-]+/g, "_") || "download"}.json`
+    link.click()
+    URL.revokeObjectURL(link.href)
+}
+
+/**
+ * Minimal CSV parser supporting quoted fields, the first row is treated as the header
+ * @param {string} text CSV content
+ * @returns {object[]} one object per row keyed by the header names, values are left as strings
+ */
+export const parseCsv = (text) => {
+    const rows = []
+    let row = []
+    let field = ""
+    let quoted = false
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i]
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (c === '"') {
+                quoted = false
+            } else {
+                field += c
+            }
+        } else if (c === '"') {
+            quoted = true
+        } else if (c === ",") {
+            row.push(field)
+            field = ""
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") i++
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ""
+        } else {
+            field += c
+        }
+    }
+    if (field !== "" || row.length) {
+        row.push(field)
+        rows.push(row)
+    }
+
+    const header = (rows.shift() || []).map((name) => name.trim())
+    return rows
+        .filter((cols) => cols.some((col) => col.trim() !== ""))
+        .map((cols) => Object.fromEntries(header.map((name, i) => [name, (cols[i] || "").trim()])))
+}
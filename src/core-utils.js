@@ -30,7 +30,7 @@ export const getDefaultUniforms = () => {
 
 /**
  * This function contains the boilerplate code to set up the environment for a threejs app;
- * e.g. HTML canvas, resize listener, mouse events listener, requestAnimationFrame
+ * e.g. HTML canvas, resize observer, mouse events listener, requestAnimationFrame
  * Consumer needs to provide the created renderer, camera and (optional) composer to this setup function
  * This has the benefit of bringing the app configurations directly to the consumer, instead of hiding/passing them down one more layer
  * @param {object} app a custom Threejs app instance that needs to call initScene and (optioal) updateScene if animation is needed
@@ -38,58 +38,91 @@ export const getDefaultUniforms = () => {
  * @param {object} renderer Threejs renderer instance
  * @param {object} camera Threejs camera instance
  * @param {bool} enableAnimation whether the app needs to animate stuff
- * @param {object} uniforms Uniforms object to be used in fragments, u_resolution/u_mouse/u_time got updated here
+ * @param {object} uniforms (optional) Uniforms object to be used in fragments, e.g. from getDefaultUniforms(),
+ * whichever of u_resolution/u_mouse/u_time it has got updated here, the mouse only gets tracked when it has u_mouse
  * @param {object} composer Threejs EffectComposer instance
+ * @param {HTMLElement} container the element the canvas is put in, the scene follows its size
  * @returns a custom threejs app instance that has the basic setup ready that can be further acted upon/customized
+ *
+ * The app gets an 'engine' ({stop, start, step, running, onDemand, idleFps, invalidate, dispose}) next to its 'container' and 'loadingVeil',
+ * so it can take the animation loop over, e.g. to step it with a fixed timestep when exporting frames,
+ * and 'ready', a promise resolving once initScene is done.
+ * In on demand mode (engine.onDemand = true), frames are only rendered after engine.invalidate() got called,
+ * or while the app's (optional) getRenderDemand() returns "continuous", or at engine.idleFps while it returns "idle".
+ * The loop is suspended while the page is hidden.
+ * engine.dispose() tears everything down: it calls the app's (optional) disposeScene() once initScene is done,
+ * then frees the geometries, materials and textures left in the scene, and the renderer
  */
-export const runApp = (app, scene, renderer, camera, enableAnimation = false, uniforms = getDefaultUniforms(), composer = null) => {
-    // Create the HTML container, styles defined in index.html
-    const container = document.getElementById("container")
+export const runApp = (app, scene, renderer, camera, enableAnimation = false, uniforms = null, composer = null, container = document.getElementById("container")) => {
+    // the absolutely positioned overlays (veil, labels, panels...) are placed relative to the container
+    if (getComputedStyle(container).position === "static") {
+        container.style.position = "relative"
+    }
     container.appendChild(renderer.domElement)
+    const loadingVeil = createLoadingVeil(container)
 
-    // Register resize listener
-    window.addEventListener("resize", () => {
-        camera.aspect = window.innerWidth / window.innerHeight
+    // Follow the size of the container, rather than the window's, so the app can be embedded in a page
+    const resizeObserver = new ResizeObserver(() => {
+        const width = container.clientWidth
+        const height = container.clientHeight
+        // e.g. while the container is hidden with display: none
+        if (width === 0 || height === 0) return
+        camera.aspect = width / height
         camera.updateProjectionMatrix()
-        renderer.setSize(window.innerWidth, window.innerHeight)
+        renderer.setSize(width, height)
+        if (composer !== null) {
+            composer.setSize(width, height)
+        }
         // update uniforms.u_resolution
-        if (uniforms.u_resolution !== undefined) {
-            uniforms.u_resolution.value.x = window.innerWidth * window.devicePixelRatio
-            uniforms.u_resolution.value.y = window.innerHeight * window.devicePixelRatio
+        if (uniforms && uniforms.u_resolution !== undefined) {
+            uniforms.u_resolution.value.x = width * window.devicePixelRatio
+            uniforms.u_resolution.value.y = height * window.devicePixelRatio
         }
         // app's custom resize logic
         if (typeof app.resize === 'function') {
-            app.resize()
+            app.resize(width, height)
         }
+        engine.invalidate()
     })
+    resizeObserver.observe(container)
 
-    // Register mouse move/touch listener
+    // Register mouse move/touch listener, only for apps whose uniforms follow the mouse
     const mouseListener = (e) => {
         uniforms.u_mouse.value.x = e.touches ? e.touches[0].clientX : e.clientX
         uniforms.u_mouse.value.y = e.touches ? e.touches[0].clientY : e.clientY
     }
-    if ("ontouchstart" in window) {
-        window.addEventListener("touchmove", mouseListener)
-    } else {
-        window.addEventListener("mousemove", mouseListener)
+    const mouseEvent = "ontouchstart" in window ? "touchmove" : "mousemove"
+    const tracksMouse = Boolean(uniforms && uniforms.u_mouse)
+    if (tracksMouse) container.addEventListener(mouseEvent, mouseListener)
+
+    // Suspend the loop while the page is hidden, it resumes where it left off rather than catching up on the time it was away
+    let suspended = false
+    const visibilityListener = () => {
+        if (document.hidden && engine.running) {
+            engine.stop()
+            suspended = true
+        } else if (!document.hidden && suspended) {
+            suspended = false
+            engine.start()
+        }
     }
+    document.addEventListener("visibilitychange", visibilityListener)
 
     // Define your app
     if (app.updateScene === undefined) {
         app.updateScene = (delta, elapsed) => { }
     }
-    Object.assign(app, { ...app, container })
 
     // The engine that powers your scene into movement
     const clock = new THREE.Clock()
-    const animate = () => {
-        if (enableAnimation) {
-            requestAnimationFrame(animate)
-        }
-
-        const delta = clock.getDelta()
-        const elapsed = clock.getElapsedTime()
-        uniforms.u_time.value = elapsed
+    // elapsed time as seen by the app, it only moves on while the loop runs or when stepped
+    let elapsed = 0
+    let frameId = null
+    let disposed = false
+    let disposal = null
+    const renderFrame = (delta) => {
+        elapsed += delta
+        if (uniforms && uniforms.u_time) uniforms.u_time.value = elapsed
 
         app.updateScene(delta, elapsed)
 
@@ -99,17 +132,99 @@ export const runApp = (app, scene, renderer, camera, enableAnimation = false, un
             composer.render()
         }
     }
+    // on demand, frames are skipped until something asks for one, the time of the skipped frames is handed to the next one
+    let invalidated = true
+    let pendingDelta = 0
+    const animate = () => {
+        if (enableAnimation) {
+            frameId = requestAnimationFrame(animate)
+        }
+        const delta = clock.getDelta()
+        if (!engine.onDemand) {
+            renderFrame(delta)
+            return
+        }
+        pendingDelta += delta
+        // the app tells what its ongoing motions need: "continuous" frames, "idle" ones at idleFps, or "none"
+        const demand = typeof app.getRenderDemand === 'function' ? app.getRenderDemand() : "continuous"
+        const idleFrameDue = demand === "idle" && engine.idleFps > 0 && pendingDelta >= 1 / engine.idleFps
+        if (invalidated || demand === "continuous" || idleFrameDue) {
+            // reset first, so whatever updateScene invalidates gets its own frame
+            invalidated = false
+            const frameDelta = pendingDelta
+            pendingDelta = 0
+            renderFrame(frameDelta)
+        }
+    }
+    const engine = {
+        // when true, frames only get rendered when asked for, see invalidate() and the app's (optional) getRenderDemand()
+        onDemand: false,
+        // frame rate of the "idle" render demand, for slow motions not worth every frame
+        idleFps: 5,
+        // asks for a frame to be rendered, in on demand mode
+        invalidate() {
+            invalidated = true
+        },
+        // stops the requestAnimationFrame loop
+        stop() {
+            if (frameId !== null) cancelAnimationFrame(frameId)
+            frameId = null
+        },
+        // restarts the loop, without accounting for the time it was stopped
+        start() {
+            if (frameId !== null || disposed) return
+            clock.getDelta()
+            pendingDelta = 0
+            invalidated = true
+            animate()
+        },
+        /**
+         * Advances the app by a given interval and renders one frame, while the loop is stopped
+         * @param {number} delta in seconds
+         */
+        step(delta) {
+            renderFrame(delta)
+        },
+        get running() {
+            return frameId !== null
+        },
+        /**
+         * Stops the app for good and frees everything it holds
+         * @returns {Promise} resolves once everything is freed, which waits for initScene if it is still loading
+         */
+        dispose() {
+            if (disposed) return disposal
+            disposed = true
+            engine.stop()
+            resizeObserver.disconnect()
+            if (tracksMouse) container.removeEventListener(mouseEvent, mouseListener)
+            document.removeEventListener("visibilitychange", visibilityListener)
+            loadingVeil.dispose()
+            renderer.domElement.remove()
+            // initScene may still be adding things to the scene, so it has to be done before freeing them
+            disposal = ready.then(() => {
+                if (typeof app.disposeScene === 'function') {
+                    app.disposeScene()
+                }
+                disposeObject(scene)
+                if (composer !== null) {
+                    composer.dispose()
+                }
+                renderer.dispose()
+                // browsers only allow a handful of live WebGL contexts, don't wait for the garbage collector
+                renderer.forceContextLoss()
+            })
+            return disposal
+        }
+    }
 
-    app.initScene()
-        .then(() => {
-            const veil = document.getElementById("veil")
-            veil.style.opacity = 0
-            const progressBar = document.getElementById("progress-bar")
-            progressBar.style.opacity = 0
-            return true
-        })
-        .then(animate)
+    const ready = Promise.resolve()
+        // a microtask later, so the app already has 'ready' when initScene runs
+        .then(() => app.initScene())
         .then(() => {
+            if (disposed) return
+            loadingVeil.hide()
+            animate()
             // debugging info
             renderer.info.reset()
             // not sure if reliable enough, numbers change everytime...
@@ -117,7 +232,37 @@ export const runApp = (app, scene, renderer, camera, enableAnimation = false, un
         })
         .catch((error) => {
             console.log(error);
+            // tell the user instead of leaving them in front of the veil forever
+            loadingVeil.update(undefined, `Failed to start: ${error.message}`)
         });
+    Object.assign(app, { ...app, container, loadingVeil, engine, ready })
+
+    return app
+}
+
+/**
+ * Frees the GPU resources of an object and its descendants: geometries, materials and the textures they use,
+ * including textures held by shader uniforms, and the background/environment of a scene
+ * @param {object} root Threejs object, e.g. the scene
+ */
+export const disposeObject = (root) => {
+    const textures = new Set()
+    const collectTexture = (value) => {
+        if (value && value.isTexture) textures.add(value)
+    }
+    collectTexture(root.background)
+    collectTexture(root.environment)
+    root.traverse((object) => {
+        if (object.geometry) object.geometry.dispose()
+        if (!object.material) return
+        const materials = Array.isArray(object.material) ? object.material : [object.material]
+        for (const material of materials) {
+            Object.values(material).forEach(collectTexture)
+            Object.values(material.uniforms || {}).forEach((uniform) => collectTexture(uniform.value))
+            material.dispose()
+        }
+    })
+    textures.forEach((texture) => texture.dispose())
 }
 
 /**
@@ -184,16 +329,41 @@ export const createCamera = (
 }
 
 /**
- * 
- * @param {*} frac [0..1] percentage of completion on the progress bar
- * @param {*} delay number of miliseconds for the returned Promise to be resolved
- * @returns new Promise that resolves after {delay} miliseconds to simulate a sense of actual loading
+ * Creates the veil covering the container while the app loads, with a progress bar and a status line, styled in earth.css
+ * @param {HTMLElement} container
+ * @returns {object} {element, update(frac, message), hide(), dispose()}
  */
-export const updateLoadingProgressBar = async (frac, delay=200) => {
-    return new Promise(resolve => {
-        const progress = document.getElementById("progress")
-        // 200px is the width of the progress bar defined in index.html
-        progress.style.width = `${frac * 200}px`
-        setTimeout(resolve, delay)
-    })
-}
\ No newline at end of file
+export const createLoadingVeil = (container) => {
+    const element = document.createElement("div")
+    element.className = "loading-veil"
+    element.innerHTML = `<div class="loading-progress-bar"><div class="loading-progress"></div></div><div class="loading-status"></div>`
+    container.appendChild(element)
+    const progressBar = element.querySelector(".loading-progress-bar")
+    const progress = element.querySelector(".loading-progress")
+    const status = element.querySelector(".loading-status")
+
+    return {
+        element,
+        /**
+         * @param {number} frac [0..1] percentage of completion on the progress bar, undefined leaves the bar as it is
+         * @param {string} message (optional) status shown under the progress bar, e.g. which asset failed to load
+         */
+        update(frac, message) {
+            if (frac !== undefined) {
+                // 200px is the width of the progress bar defined in earth.css
+                progress.style.width = `${frac * 200}px`
+            }
+            if (message !== undefined) {
+                status.textContent = message
+            }
+        },
+        // fades the veil out, it lets the pointer through so the app is usable while it fades
+        hide() {
+            element.style.opacity = 0
+            progressBar.style.opacity = 0
+        },
+        dispose() {
+            element.remove()
+        }
+    }
+}
@@ -0,0 +1,427 @@
+// Statistics painted onto the globe: per-country values (choropleth) or gridded lat/lon rasters (heatmap),
+// colored through a ramp and blended into the earth's albedo so the overlay gets lit and shaded like the surface
+
+import * as THREE from "three"
+import { hexToRgb, parseCsv } from "./common-utils"
+import { flattenGeometry, unwrapRing } from "./geojson-layer"
+
+global.THREE = THREE
+
+// size of the equirectangular grid country polygons are rasterized into, 0.25 degree per cell
+const COUNTRY_GRID_WIDTH = 1440
+const COUNTRY_GRID_HEIGHT = 720
+const RAMP_SIZE = 256
+
+// color stops from low to high values, diverging ramps have their neutral color in the middle
+export const RAMPS = {
+    viridis: { type: "sequential", stops: ["#440154", "#482878", "#3e4989", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"] },
+    magma: { type: "sequential", stops: ["#000004", "#180f3d", "#440f76", "#721f81", "#9e2f7f", "#cd4071", "#f1605d", "#fd9668", "#feca8d", "#fcfdbf"] },
+    blues: { type: "sequential", stops: ["#f7fbff", "#deebf7", "#c6dbef", "#9ecae1", "#6baed6", "#4292c6", "#2171b5", "#08519c", "#08306b"] },
+    ylOrRd: { type: "sequential", stops: ["#ffffcc", "#ffeda0", "#fed976", "#feb24c", "#fd8d3c", "#fc4e2a", "#e31a1c", "#bd0026", "#800026"] },
+    rdBu: { type: "diverging", stops: ["#67001f", "#b2182b", "#d6604d", "#f4a582", "#fddbc7", "#f7f7f7", "#d1e5f0", "#92c5de", "#4393c3", "#2166ac", "#053061"] },
+    brBG: { type: "diverging", stops: ["#543005", "#8c510a", "#bf812d", "#dfc27d", "#f6e8c3", "#f5f5f5", "#c7eae5", "#80cdc1", "#35978f", "#01665e", "#003c30"] },
+    coolwarm: { type: "diverging", stops: ["#3b4cc0", "#6788ee", "#9abbff", "#c9d7f0", "#edd1c2", "#f7a889", "#e26952", "#b40426"] }
+}
+
+// property names country codes are commonly found under, in GeoJSON boundaries and in tables
+const BOUNDARY_CODE_KEYS = ["ISO_A3", "ISO_A3_EH", "ADM0_A3", "ISO3", "iso_a3", "ISO_A2", "ISO_A2_EH", "iso_a2", "ISO2"]
+const TABLE_CODE_KEYS = ["iso_a3", "iso3", "iso", "iso_a2", "iso2", "code", "country_code", "id"]
+
+/**
+ * Patches the earth material to blend the data overlay into its albedo
+ * @param {object} shader as handed to onBeforeCompile
+ * @param {object} uniforms the data layer's uniforms
+ * @param {string} uv name of a varying holding the equirectangular uv of the globe
+ */
+export const addDataOverlay = (shader, uniforms, uv) => {
+    Object.assign(shader.uniforms, uniforms)
+    shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+        #include <common>
+        uniform sampler2D dataMap;
+        uniform sampler2D dataRamp;
+        uniform vec4 dataBounds;
+        uniform vec2 dataEncodedRange;
+        uniform float dataOpacity;
+        uniform float dataMin;
+        uniform float dataMax;
+        uniform float dataCenter;
+        uniform bool dataClamp;
+        uniform bool dataDiverging;
+    `)
+    shader.fragmentShader = shader.fragmentShader.replace('#include <map_fragment>', `
+        #include <map_fragment>
+
+        // the grid covers dataBounds (west, south, east, north in degrees), its r channel is the value normalized
+        // over dataEncodedRange and its g channel the coverage (0 where there's no data)
+        vec2 dataUv = ( vec2( ${uv}.x * 360.0 - 180.0, ${uv}.y * 180.0 - 90.0 ) - dataBounds.xy ) / ( dataBounds.zw - dataBounds.xy );
+        if ( dataOpacity > 0.0 && all( greaterThanEqual( dataUv, vec2( 0.0 ) ) ) && all( lessThanEqual( dataUv, vec2( 1.0 ) ) ) ) {
+            vec2 datum = texture2D( dataMap, dataUv ).rg;
+            float value = mix( dataEncodedRange.x, dataEncodedRange.y, datum.r );
+            // position on the ramp, diverging ramps have their middle at dataCenter
+            float t = dataDiverging
+                ? ( value < dataCenter ? 0.5 * ( value - dataMin ) / max( dataCenter - dataMin, 1e-20 ) : 0.5 + 0.5 * ( value - dataCenter ) / max( dataMax - dataCenter, 1e-20 ) )
+                : ( value - dataMin ) / max( dataMax - dataMin, 1e-20 );
+            // out of range values are either clamped to the ends of the ramp or left uncolored
+            float inRange = dataClamp ? 1.0 : step( 0.0, t ) * step( t, 1.0 );
+            vec3 dataColor = texture2D( dataRamp, vec2( clamp( t, 0.0, 1.0 ), 0.5 ) ).rgb;
+            diffuseColor.rgb = mix( diffuseColor.rgb, dataColor, dataOpacity * datum.g * inRange );
+        }
+    `)
+}
+
+/**
+ * @param {string} source url or a File picked by the user
+ * @returns {Promise<string>} the content as text
+ */
+const readText = async (source) => {
+    return source instanceof File ? source.text() : (await fetch(source)).text()
+}
+
+const sourceName = (source) => source instanceof File ? source.name : source.split("/").pop()
+
+/**
+ * Loads per-country values, either
+ * a CSV with a country code column (iso_a3, iso, code...) and a value column ('value', otherwise the first numeric column),
+ * a JSON object { "FRA": 1.5, ... } or a JSON array [{ "iso": "FRA", "value": 1.5 }, ...]
+ * @param {string|File} source url or a File picked by the user
+ * @returns {Promise<Map>} upper cased country code -> value
+ */
+export const loadCountryValues = async (source) => {
+    const text = await readText(source)
+    const values = new Map()
+    const add = (code, value) => {
+        const number = typeof value === "number" ? value : parseFloat(value)
+        if (code !== undefined && code !== null && Number.isFinite(number)) values.set(String(code).trim().toUpperCase(), number)
+    }
+
+    if (/\.json$/i.test(sourceName(source)) || /^\s*[[{]/.test(text)) {
+        const json = JSON.parse(text)
+        if (Array.isArray(json)) {
+            for (const row of json) {
+                const codeKey = TABLE_CODE_KEYS.find((key) => key in row)
+                add(row[codeKey], row.value)
+            }
+        } else {
+            Object.entries(json).forEach(([code, value]) => add(code, value))
+        }
+    } else {
+        const rows = parseCsv(text)
+        if (!rows.length) return values
+        const columns = Object.keys(rows[0])
+        const codeColumn = columns.find((name) => TABLE_CODE_KEYS.includes(name.toLowerCase()))
+        const valueColumn = columns.find((name) => name.toLowerCase() === "value")
+            || columns.find((name) => name !== codeColumn && rows.every((row) => row[name] === "" || !isNaN(Number(row[name]))))
+        if (!codeColumn || !valueColumn) {
+            throw new Error("The table needs a country code column (e.g. 'iso_a3') and a numeric value column")
+        }
+        rows.forEach((row) => add(row[codeColumn], row[valueColumn]))
+    }
+    return values
+}
+
+/**
+ * Loads a gridded raster covering the globe (or the given bounds), rows from north to south, either
+ * a JSON { width, height, values, bounds? } where values is flat or an array of rows and bounds is [west, south, east, north],
+ * a CSV/text matrix of numbers, one line per row,
+ * or an image, whose red channel becomes values from 0 to 1 (transparent pixels have no data)
+ * @param {string|File} source url or a File picked by the user
+ * @returns {Promise<object>} {width, height, values, bounds}, values as a Float32Array with NaN where there's no data
+ */
+export const loadGrid = async (source) => {
+    const name = sourceName(source)
+    if (/\.(png|jpe?g|webp|gif)$/i.test(name)) {
+        const blob = source instanceof File ? source : await (await fetch(source)).blob()
+        const bitmap = await createImageBitmap(blob)
+        const canvas = document.createElement("canvas")
+        canvas.width = bitmap.width
+        canvas.height = bitmap.height
+        const ctx = canvas.getContext("2d")
+        ctx.drawImage(bitmap, 0, 0)
+        const pixels = ctx.getImageData(0, 0, bitmap.width, bitmap.height).data
+        const values = new Float32Array(bitmap.width * bitmap.height)
+        for (let i = 0; i < values.length; i++) {
+            values[i] = pixels[i * 4 + 3] === 0 ? NaN : pixels[i * 4] / 255
+        }
+        return { width: bitmap.width, height: bitmap.height, values, bounds: [-180, -90, 180, 90] }
+    }
+
+    const text = await readText(source)
+    if (/\.json$/i.test(name) || /^\s*{/.test(text)) {
+        const json = JSON.parse(text)
+        const flat = Array.isArray(json.values[0]) ? json.values.flat() : json.values
+        const width = json.width || (Array.isArray(json.values[0]) ? json.values[0].length : 0)
+        const height = json.height || flat.length / width
+        if (!width || flat.length !== width * height) {
+            throw new Error(`The grid has ${flat.length} values, which doesn't match its size (${width} x ${height})`)
+        }
+        const values = Float32Array.from(flat, (v) => v === null || v === json.nodata ? NaN : v)
+        return { width, height, values, bounds: json.bounds || [-180, -90, 180, 90] }
+    }
+
+    const rows = text.split(/\r?\n/).filter((line) => line.trim() !== "").map((line) => line.trim().split(/[\s,;]+/).map(Number))
+    const width = rows.length ? rows[0].length : 0
+    if (!width || rows.some((row) => row.length !== width)) {
+        throw new Error("The grid needs the same number of values on every line")
+    }
+    // anything that isn't a number counts as no data
+    return { width, height: rows.length, values: Float32Array.from(rows.flat()), bounds: [-180, -90, 180, 90] }
+}
+
+/**
+ * Fills the cells of an equirectangular grid covered by a polygon, with the even-odd rule
+ * @param {number[][][]} rings unwrapped rings of the polygon, see unwrapRing
+ * @param {number} width of the grid, covering -180..180
+ * @param {number} height of the grid, covering 90..-90
+ * @param {function} fill called with the index of each covered cell
+ */
+const rasterizePolygon = (rings, width, height, fill) => {
+    let minLat = Infinity
+    let maxLat = -Infinity
+    for (const ring of rings) {
+        for (const [, lat] of ring) {
+            minLat = Math.min(minLat, lat)
+            maxLat = Math.max(maxLat, lat)
+        }
+    }
+    const firstRow = Math.max(0, Math.floor((90 - maxLat) / 180 * height))
+    const lastRow = Math.min(height - 1, Math.ceil((90 - minLat) / 180 * height))
+    const crossings = []
+    for (let row = firstRow; row <= lastRow; row++) {
+        // crossings of the cells' center line with the edges
+        const lat = 90 - (row + 0.5) / height * 180
+        crossings.length = 0
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i]
+                const [xj, yj] = ring[j]
+                if ((yi > lat) !== (yj > lat)) crossings.push(xi + (lat - yi) / (yj - yi) * (xj - xi))
+            }
+        }
+        crossings.sort((a, b) => a - b)
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            // cells whose center lies between the two crossings, wrapped as unwrapped rings may extend past ±180
+            const from = Math.ceil((crossings[k] + 180) / 360 * width - 0.5)
+            const to = Math.ceil((crossings[k + 1] + 180) / 360 * width - 0.5)
+            for (let col = from; col < to; col++) {
+                fill(row * width + THREE.MathUtils.euclideanModulo(col, width))
+            }
+        }
+    }
+}
+
+/**
+ * Creates the data layer. Its uniforms have to be patched into the earth material with addDataOverlay,
+ * the display params (opacity, min, max, center, clamp) are uniform-like { value } objects passed in by the caller
+ * @param {object} displayUniforms {dataOpacity, dataMin, dataMax, dataCenter, dataClamp}
+ * @param {HTMLElement} container element to put the legend in
+ * @param {object} options (optional)
+ * @param {function} options.onChange called whenever the data or the ramp changed, e.g. to request a redraw
+ * @returns {object} the layer
+ */
+export const createDataLayer = (displayUniforms, container, { onChange = () => { } } = {}) => {
+    const rampTexture = new THREE.DataTexture(new Uint8Array(RAMP_SIZE * 4), RAMP_SIZE, 1)
+    rampTexture.colorSpace = THREE.SRGBColorSpace
+    rampTexture.magFilter = THREE.LinearFilter
+    rampTexture.minFilter = THREE.LinearFilter
+
+    const uniforms = {
+        ...displayUniforms,
+        dataMap: { value: null },
+        dataRamp: { value: rampTexture },
+        dataBounds: { value: new THREE.Vector4(-180, -90, 180, 90) },
+        dataEncodedRange: { value: new THREE.Vector2(0, 1) },
+        dataDiverging: { value: false }
+    }
+    // without data, a 1x1 texture with no coverage
+    const emptyTexture = new THREE.DataTexture(new Uint16Array(2), 1, 1, THREE.RGFormat, THREE.HalfFloatType)
+    emptyTexture.needsUpdate = true
+    uniforms.dataMap.value = emptyTexture
+
+    // the current data: the grid of values, and for choropleths the country of each cell
+    let grid = null
+    let rampName = "viridis"
+
+    const legend = document.createElement("div")
+    legend.className = "data-legend"
+    legend.style.display = "none"
+    const legendTitle = document.createElement("div")
+    const legendBar = document.createElement("div")
+    legendBar.className = "data-legend-bar"
+    const legendLabels = document.createElement("div")
+    legendLabels.className = "data-legend-labels"
+    legend.append(legendTitle, legendBar, legendLabels)
+    container.appendChild(legend)
+
+    const formatValue = (value) => {
+        const abs = Math.abs(value)
+        return abs !== 0 && (abs >= 1e5 || abs < 1e-2) ? value.toExponential(2) : String(+value.toFixed(2))
+    }
+
+    const updateLegend = () => {
+        legend.style.display = grid ? "" : "none"
+        if (!grid) return
+        const ramp = RAMPS[rampName]
+        legendTitle.textContent = grid.name
+        legendBar.style.background = `linear-gradient(to right, ${ramp.stops.join(", ")})`
+        const labels = [uniforms.dataMin.value, uniforms.dataMax.value]
+        if (ramp.type === "diverging") labels.splice(1, 0, uniforms.dataCenter.value)
+        legendLabels.replaceChildren(...labels.map((value) => {
+            const label = document.createElement("span")
+            label.textContent = formatValue(value)
+            return label
+        }))
+    }
+
+    const setRamp = (name) => {
+        const ramp = RAMPS[name]
+        if (!ramp) throw new Error(`Unknown color ramp '${name}', try one of ${Object.keys(RAMPS).join(", ")}`)
+        rampName = name
+        // interpolated in sRGB like the CSS gradient of the legend, the texture gets linearized when sampled
+        const colors = ramp.stops.map((stop) => hexToRgb(stop))
+        const data = rampTexture.image.data
+        for (let i = 0; i < RAMP_SIZE; i++) {
+            const x = i / (RAMP_SIZE - 1) * (colors.length - 1)
+            const k = Math.min(Math.floor(x), colors.length - 2)
+            const f = x - k
+            const [a, b] = [colors[k], colors[k + 1]]
+            data[i * 4] = Math.round(a.r + (b.r - a.r) * f)
+            data[i * 4 + 1] = Math.round(a.g + (b.g - a.g) * f)
+            data[i * 4 + 2] = Math.round(a.b + (b.b - a.b) * f)
+            data[i * 4 + 3] = 255
+        }
+        rampTexture.needsUpdate = true
+        uniforms.dataDiverging.value = ramp.type === "diverging"
+        updateLegend()
+        onChange()
+    }
+    setRamp(rampName)
+
+    /**
+     * Uploads a grid as the overlay, values normalized over their range and packed as half floats
+     * @param {object} newGrid {width, height, values, bounds, name, countries?, cellCountry?}
+     */
+    const setGrid = (newGrid) => {
+        let min = Infinity
+        let max = -Infinity
+        for (const v of newGrid.values) {
+            if (Number.isNaN(v)) continue
+            min = Math.min(min, v)
+            max = Math.max(max, v)
+        }
+        if (min === Infinity) throw new Error("The data holds no values")
+
+        const { width, height, values } = newGrid
+        const packed = new Uint16Array(width * height * 2)
+        const range = max - min || 1
+        const one = THREE.DataUtils.toHalfFloat(1)
+        for (let row = 0; row < height; row++) {
+            // textures start at the bottom, grids at the top
+            const flipped = (height - 1 - row) * width
+            for (let col = 0; col < width; col++) {
+                const v = values[row * width + col]
+                if (Number.isNaN(v)) continue
+                packed[(flipped + col) * 2] = THREE.DataUtils.toHalfFloat((v - min) / range)
+                packed[(flipped + col) * 2 + 1] = one
+            }
+        }
+        const texture = new THREE.DataTexture(packed, width, height, THREE.RGFormat, THREE.HalfFloatType)
+        // country borders stay crisp, rasters get interpolated
+        const filter = newGrid.cellCountry ? THREE.NearestFilter : THREE.LinearFilter
+        texture.magFilter = filter
+        texture.minFilter = filter
+        texture.needsUpdate = true
+
+        if (uniforms.dataMap.value !== emptyTexture) uniforms.dataMap.value.dispose()
+        uniforms.dataMap.value = texture
+        uniforms.dataBounds.value.fromArray(newGrid.bounds)
+        uniforms.dataEncodedRange.value.set(min, min + range)
+        grid = { ...newGrid, min, max }
+        updateLegend()
+        onChange()
+    }
+
+    return {
+        uniforms,
+        legend,
+        /**
+         * Shows per-country values as a choropleth
+         * @param {object} boundaries GeoJSON FeatureCollection of the countries, with their ISO codes in their properties (ISO_A3, ISO_A2...)
+         * @param {Map} values country code -> value, see loadCountryValues
+         * @param {string} name shown in the legend
+         * @returns {string[]} codes of the values that matched no country
+         */
+        setCountryValues(boundaries, values, name = "") {
+            const cellValues = new Float32Array(COUNTRY_GRID_WIDTH * COUNTRY_GRID_HEIGHT).fill(NaN)
+            const cellCountry = new Int32Array(cellValues.length).fill(-1)
+            const countries = []
+            const matched = new Set()
+            for (const feature of boundaries.features || []) {
+                const properties = feature.properties || {}
+                const codes = BOUNDARY_CODE_KEYS.map((key) => properties[key]).concat(feature.id)
+                    .filter((code) => code !== undefined && code !== null)
+                    .map((code) => String(code).toUpperCase())
+                const code = codes.find((c) => values.has(c))
+                if (code === undefined) continue
+                matched.add(code)
+                const index = countries.length
+                countries.push({ code, name: properties.name || properties.NAME || properties.ADMIN || code, value: values.get(code) })
+                for (const polygon of flattenGeometry(feature.geometry).polygons) {
+                    rasterizePolygon(polygon.map(unwrapRing), COUNTRY_GRID_WIDTH, COUNTRY_GRID_HEIGHT, (cell) => {
+                        cellValues[cell] = values.get(code)
+                        cellCountry[cell] = index
+                    })
+                }
+            }
+            setGrid({ width: COUNTRY_GRID_WIDTH, height: COUNTRY_GRID_HEIGHT, values: cellValues, bounds: [-180, -90, 180, 90], name, countries, cellCountry })
+            return [...values.keys()].filter((code) => !matched.has(code))
+        },
+        /**
+         * Shows a gridded raster as a heatmap
+         * @param {object} raster {width, height, values, bounds}, see loadGrid
+         * @param {string} name shown in the legend
+         */
+        setGrid(raster, name = "") {
+            setGrid({ ...raster, name })
+        },
+        clear() {
+            if (uniforms.dataMap.value !== emptyTexture) uniforms.dataMap.value.dispose()
+            uniforms.dataMap.value = emptyTexture
+            grid = null
+            updateLegend()
+            onChange()
+        },
+        setRamp,
+        // call after changing the display uniforms, so the legend follows
+        updateLegend,
+        /**
+         * @returns {object|null} {min, max} of the current data
+         */
+        getRange() {
+            return grid && { min: grid.min, max: grid.max }
+        },
+        /**
+         * Looks up the data under a point, for hover readouts
+         * @param {number} lat
+         * @param {number} lon
+         * @returns {object|null} {value, text}, text being the formatted value, prefixed with the country for choropleths
+         */
+        valueAt(lat, lon) {
+            if (!grid || lat === null) return null
+            const [west, south, east, north] = grid.bounds
+            const u = (THREE.MathUtils.euclideanModulo(lon - west, 360)) / (east - west)
+            const v = (north - lat) / (north - south)
+            if (u < 0 || u >= 1 || v < 0 || v >= 1) return null
+            const cell = Math.floor(v * grid.height) * grid.width + Math.floor(u * grid.width)
+            const value = grid.values[cell]
+            if (Number.isNaN(value)) return null
+            const country = grid.cellCountry ? grid.countries[grid.cellCountry[cell]] : null
+            return { value, text: country ? `${country.name}: ${formatValue(value)}` : formatValue(value) }
+        },
+        dispose() {
+            this.clear()
+            emptyTexture.dispose()
+            rampTexture.dispose()
+            legend.remove()
+        }
+    }
+}
@@ -0,0 +1,1476 @@
+// The globe: scene, layers and GUI, created by createEarth() in any container element of a page
+
+// ThreeJS and Third-party deps
+import * as THREE from "three"
+import * as dat from 'dat.gui'
+import Stats from "three/examples/jsm/libs/stats.module"
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls"
+
+// Core boilerplate code deps
+import { createCamera, createComposer, createRenderer, runApp } from "./core-utils"
+
+// Other deps
+import { downloadJson, loadAssets, pickFiles } from "./common-utils"
+import { daysSinceJ2000, getMoonPhase, getSolarPosition } from "./astro-utils"
+import { latLonToVector3 } from "./geo-utils"
+import { BODY_PRESETS, getBodyKmToUnits, getBodyManifest, getBodyReliefScale, getBodyRotation } from "./bodies"
+import { createSimClock, formatUTCDate, parseUTCDate } from "./sim-clock"
+import { createPicker } from "./picker"
+import { createMarkerLayer } from "./markers"
+import { createArcLayer, loadRoutes } from "./arcs"
+import { createGeoJsonLayer } from "./geojson-layer"
+import { createSatelliteLayer } from "./satellites"
+import { createSearchBox } from "./search"
+import { createFlyTo } from "./fly-to"
+import { createCloudSequence } from "./cloud-sequence"
+import { createTileLayer } from "./tiles"
+import { createWindLayer, loadWindField } from "./wind"
+import { createStarLayer } from "./stars"
+import { addMoonShadow, createMoon } from "./moon"
+import { addRingShadow, createRings } from "./rings"
+import { addRelief, createCubeSphereGeometry, createHeightSampler } from "./relief"
+import { RAMPS, addDataOverlay, createDataLayer, loadCountryValues, loadGrid } from "./data-layer"
+import { ExportCancelledError, createFrameExporter } from "./frame-export"
+import { QUALITY_TIERS, createQualityGovernor, createTextureVariants } from "./quality"
+import { BLOOM_LAYER, TONE_MAPPINGS, addBloomSelection, createPostProcessing } from "./post-processing"
+import { TourError, createTour } from "./tour"
+import { applyViewState, decodeViewState, downloadPreset, encodeViewState, serializeViewState, validateViewState } from "./view-state"
+import vertexShader from "./shaders/vertex.glsl"
+import fragmentShader from "./shaders/fragment.glsl"
+import scatteringShader from "./shaders/scattering.glsl"
+import GaiaSky from "./assets/Gaia_EDR3_darkened.png"
+import "./earth.css"
+
+global.THREE = THREE
+// previously this feature is .legacyMode = false, see https://www.donmccurdy.com/2020/06/17/color-management-in-threejs/
+// turning this on has the benefit of doing certain automatic conversions (for hexadecimal and CSS colors from sRGB to linear-sRGB)
+THREE.ColorManagement.enabled = true
+
+/**************************************************
+ * 0. Tweakable parameters for the scene
+ * every globe gets its own copy, as the { value } entries are uniforms shared with its materials
+ *************************************************/
+const createParams = () => ({
+  // the body shown, one of BODY_PRESETS, first so that presets switch it before the atmosphere params it resets
+  body: "earth",
+  // general scene params
+  sunIntensity: 1.3, // brightness of the sun
+  playing: true, // whether simulation time flows
+  timeScale: 1, // simulated seconds per real second
+  metalness: 0.1,
+  // terrain relief, the surface displaced by the bump map, see relief.js
+  relief: false,
+  reliefExaggeration: 20, // how many times their true height the mountains are drawn
+  atmOpacity: { value: 0.7 },
+  // atmospheric scattering, see shaders/scattering.glsl
+  rayleighRed: { value: 5.8 }, // Rayleigh scattering coefficients at sea level per color channel, in 1e-6 per meter
+  rayleighGreen: { value: 13.5 },
+  rayleighBlue: { value: 33.1 },
+  mieCoefficient: { value: 21.0 }, // Mie scattering coefficient at sea level, in 1e-6 per meter
+  rayleighScaleHeight: { value: 8.0 }, // in km, the height over which the density of air drops by a factor e
+  mieScaleHeight: { value: 1.2 }, // in km, same for aerosols
+  mieAnisotropy: { value: 0.76 }, // how strongly aerosols scatter forward, making the glow around the sun
+  atmSunIntensity: { value: 20.0 }, // intensity of the sunlight that gets scattered
+  // data overlay (choropleth or gridded heatmap)
+  dataRamp: "viridis",
+  dataOpacity: { value: 0.7 },
+  dataMin: { value: 0 },
+  dataMax: { value: 1 },
+  dataCenter: { value: 0 }, // the middle of diverging ramps
+  dataClamp: { value: true }, // out of range values take the end colors of the ramp, otherwise they're left uncolored
+  // the sky
+  starField: "image", // "image" for the Gaia background, "catalog" for the stars of the bundled catalog, aligned to the equatorial frame
+  showConstellations: true,
+  starSize: 1.5,
+  // the moon
+  showMoon: true,
+  moonDistanceScale: 0.1, // fraction of the true distance (about 603 units) the moon is drawn at, eclipses are computed at true scale
+  cloudDriftRate: 0.05, // revolutions per day the cloud layer drifts eastward relative to the earth's surface
+  // wind particles, once a wind field is loaded
+  showWind: true,
+  windDensity: 5000, // number of particles
+  windSpeed: 0.3, // degrees the particles travel per second for every m/s of wind
+  windTrail: 20, // length of the trails, in steps of 1/30 s
+  // great-circle arcs
+  showArcs: true,
+  arcHeight: 2.0, // how high arcs rise per radian of distance
+  arcOpacity: { value: 0.9 },
+  arcDashSize: { value: 0.4 }, // 0 draws solid arcs
+  arcDashGap: { value: 0.3 },
+  arcDashSpeed: { value: 1.0 },
+  // satellites
+  showSatellites: true,
+  showSatelliteTrails: true,
+  showGroundTracks: true,
+  // navigation
+  flyAltitude: 8, // altitude above the surface the camera flies to when a place is picked
+  // rendering
+  renderOnDemand: false, // only render when something changed, to save battery on pages left open
+  idleFps: 5, // frame rate of slow motions (e.g. the earth turning in real time) when rendering on demand
+  qualityTier: "auto", // name of a tier of quality.js to stick to, or "auto" to adapt to the measured frame rate
+  // post-processing, see post-processing.js
+  bloom: true, // glow of the night lights and the atmosphere's limb
+  bloomStrength: 0.8,
+  bloomRadius: 0.4,
+  bloomThreshold: 0.1, // luminance under which nothing glows
+  showSun: true,
+  sunSize: 4, // how many times its true size the sun disk is drawn
+  lensFlare: true,
+  flareIntensity: 1.0,
+  toneMapping: "None", // one of TONE_MAPPINGS, the sky and the aerial perspective have their own exposure curve already
+  exposure: 1.0,
+  antialiasing: "none", // "fxaa" or "smaa" on top of (or instead of, at the tiers without MSAA) the multisampling
+  // tiled imagery, replacing the albedo map with XYZ tiles streamed at the detail the view needs
+  showTiles: false,
+  tileUrl: "http://localhost:8080/tiles/{z}/{x}/{y}.png",
+  tileMaxZoom: 10,
+  tileDetail: 1.0, // tiles get split once they cover more than tileDetail * 256 pixels on screen
+})
+
+/**
+ * @param {object} hit a hit from the picker
+ * @returns {string} short description of what got hit, for the readout
+ */
+const describeHit = (hit) => {
+  if (!hit) return ""
+  if (hit.marker) return hit.marker.label
+  if (hit.satellite) return hit.satellite.name
+  if (hit.star) return `${hit.star.name} (${hit.star.id}, mag ${hit.star.mag.toFixed(1)})`
+  if (hit.properties) return hit.properties.name || hit.properties.NAME || hit.properties.ADMIN || ""
+  return ""
+}
+
+
+
+/**
+ * Creates a globe in a container element, as many times as needed on a page
+ * @param {HTMLElement} containerEl the element the globe is drawn in, it follows the element's size
+ * @param {object} options (optional)
+ * @param {object} options.params initial values for the tweakable parameters, e.g. { showMoon: false, atmOpacity: 0.5 }
+ * @param {bool} options.gui whether to show the dat.GUI panel, def = true
+ * @param {bool} options.stats whether to show the fps counter, def = true
+ * @param {bool} options.syncUrlHash whether the view is kept in sync with the URL hash, only one globe on a page should, def = false
+ * @param {THREE.LoadingManager} options.loadingManager manager the textures of the globe report their start/end/failure to, see loadAssets,
+ * def = one of the globe's own
+ * @param {string} options.assetBaseUrl where the textures that aren't bundled (those of the moon and the other bodies) are loaded from at runtime, relative to the page,
+ * missing ones are replaced by placeholders, def = "assets/"
+ * @returns {object} the globe, e.g. globe.flyTo(48.85, 2.35), globe.markers.addMarker(...);
+ * globe.ready resolves once it is loaded, globe.engine.dispose() (or globe.dispose()) removes it and frees everything it holds
+ */
+export const createEarth = (containerEl, options = {}) => {
+  const { gui: showGui = true, stats: showStats = true, syncUrlHash = false, loadingManager = new THREE.LoadingManager(), assetBaseUrl = "assets/" } = options
+  const assetBase = new URL(assetBaseUrl, document.baseURI)
+  const params = createParams()
+
+  /**************************************************
+   * 1. Initialize core threejs components
+   *************************************************/
+  // Create the scene
+  let scene = new THREE.Scene()
+
+  // Create the renderer via 'createRenderer',
+  // 1st param receives additional WebGLRenderer properties
+  // 2nd param receives a custom callback to further configure the renderer
+  // antialiasing is done by the multisampled render targets of the composer (see the quality tiers),
+  // the canvas itself only gets the final image drawn on it
+  let renderer = createRenderer({ antialias: false }, (_renderer) => {
+    // best practice: ensure output colorspace is in sRGB, see Color Management documentation:
+    // https://threejs.org/docs/#manual/en/introduction/Color-management
+    _renderer.outputColorSpace = THREE.SRGBColorSpace
+  })
+
+  // Create the camera
+  // Pass in fov, near, far and camera position respectively
+  let camera = createCamera(45, 1, 1000, { x: 0, y: 0, z: 30 })
+
+  // The scene is rendered into the composer's render targets, the post-processing passes follow,
+  // their output pass does the tone mapping and converts the image to sRGB for the canvas
+  let post
+  let composer = createComposer(renderer, scene, camera, (_composer) => {
+    post = createPostProcessing(_composer, renderer, scene, camera)
+  })
+
+
+  /**************************************************
+   * 2. Build your scene in this threejs app
+   * This app object needs to consist of at least the async initScene() function (it is async so the animate function can wait for initScene() to finish before being called)
+   * initScene() is called after a basic threejs environment has been set up, you can add objects/lighting to you scene in initScene()
+   * if your app needs to animate things(i.e. not static), include a updateScene(interval, elapsed) function in the app as well
+   *************************************************/
+  let app = {
+    async initScene() {
+      // size the scene is rendered at (in CSS pixels), read from the renderer as exports render at their own size
+      this.viewportSize = new THREE.Vector2()
+
+      // OrbitControls
+      this.controls = new OrbitControls(camera, renderer.domElement)
+      this.controls.enableDamping = true
+      // fired for user input and while the damping winds down, as long as the camera moves
+      this.controls.addEventListener("change", () => this.invalidate())
+
+      // see getRenderDemand()
+      this.engine.onDemand = params.renderOnDemand
+      this.engine.idleFps = params.idleFps
+
+      // the simulation clock drives the position of the sun
+      this.clock = createSimClock()
+
+      // adding a virtual sun using directional light,
+      // its position is recalculated every frame in updateScene() from the subsolar point at the simulation time
+      this.dirLight = new THREE.DirectionalLight(0xffffff, params.sunIntensity)
+      scene.add(this.dirLight)
+
+      // loads all textures in parallel, the progress bar follows the bytes actually received.
+      // Assets that fail even after retrying are replaced by single colored placeholders so the globe still renders,
+      // the fallback colors are picked to be harmless stand-ins for each map
+      // the globe starts out as the earth, other bodies get loaded when switched to, see setBody()
+      const failedAssets = {}
+      this.body = BODY_PRESETS.earth
+      const { envMap, moonMap, ...earthTextures } = await loadAssets({
+        ...getBodyManifest(this.body, assetBase),
+        envMap: { url: GaiaSky, fallback: [0, 0, 0, 255] }, // black space
+        moonMap: { url: new URL("Moon.jpg", assetBase).href, fallback: [128, 128, 128, 255] } // plain gray
+      }, {
+        manager: loadingManager,
+        onProgress: (frac) => this.loadingVeil.update(frac),
+        onError: (key, url, error) => {
+          failedAssets[url.split("/").pop()] = `${error.message} (using a placeholder)`
+          this.loadingVeil.update(undefined, `Failed to load ${url.split("/").pop()}: ${error.message}`)
+        }
+      })
+      const {
+        map: albedoMap, // earth's color map, the basis of how our earth looks like
+        bumpMap,
+        cloudsMap,
+        oceanMap,
+        lightsMap
+      } = earthTextures
+      albedoMap.colorSpace = THREE.SRGBColorSpace
+      // the textures of each body, by id, loaded once
+      this.bodyTextures = new Map([[this.body.id, Promise.resolve(earthTextures)]])
+      envMap.mapping = THREE.EquirectangularReflectionMapping
+    
+      scene.background = envMap
+
+      // lower quality tiers swap these for downscaled copies, see applyQuality()
+      this.textureVariants = new Map([albedoMap, bumpMap, oceanMap, lightsMap, envMap].map((texture) => [texture, createTextureVariants(texture)]))
+      this.earthMaps = { map: albedoMap, bumpMap, roughnessMap: oceanMap, metalnessMap: oceanMap, emissiveMap: lightsMap }
+      this.envMap = envMap
+
+      // create group for easier manipulation of objects(ie later with clouds and atmosphere added)
+      this.group = new THREE.Group()
+      // earth's axial tilt is 23.44 degrees
+      this.group.rotation.z = THREE.MathUtils.degToRad(this.body.axialTilt)
+    
+      let earthGeo = new THREE.SphereGeometry(10, 64, 64)
+      let earthMat = new THREE.MeshStandardMaterial({
+        map: albedoMap,
+        bumpMap: bumpMap,
+        bumpScale: this.body.bumpScale, // must be really small, if too high even bumps on the back side got lit up
+        roughnessMap: oceanMap, // will get reversed in the shaders
+        metalness: params.metalness, // gets multiplied with the texture values from metalness map
+        metalnessMap: oceanMap,
+        emissiveMap: lightsMap,
+        emissive: new THREE.Color(0xffff88),
+      })
+      this.earth = new THREE.Mesh(earthGeo, earthMat)
+      // the night lights glow, see addBloomSelection below
+      this.earth.layers.enable(BLOOM_LAYER)
+      this.group.add(this.earth)
+      // what the layers lay over the surface, lifted along with the clouds clear of the relief, see applyReliefHeight()
+      this.overlays = new THREE.Group()
+      this.earth.add(this.overlays)
+    
+      // the moon, lit by the same sun, its position gets updated from the ephemeris in updateScene()
+      this.moon = createMoon(this.group, this.earth, moonMap, params.moonDistanceScale)
+      // the moon doesn't glow, but hides the glow of the sun during solar eclipses
+      const moonMat = this.moon.mesh.material
+      const moonOnBeforeCompile = moonMat.onBeforeCompile
+      moonMat.onBeforeCompile = (shader) => {
+        moonOnBeforeCompile(shader)
+        addBloomSelection(shader, post.bloomSelection, "vec3( 0.0 )")
+      }
+      this.moon.mesh.layers.enable(BLOOM_LAYER)
+      // the moon's true radius, its eclipses get turned off along with it for the bodies it doesn't orbit
+      this.moonRadius = this.moon.eclipseUniforms.eclipseMoonRadius.value
+
+      // the cloud maps and the crossfade between them are uniforms shared by the cloud shell and the earth's cloud shadows,
+      // without a loaded sequence both maps are the static cloudsMap
+      this.cloudSequence = createCloudSequence(cloudsMap)
+      const cloudUniforms = this.cloudSequence.uniforms
+
+      let cloudGeo = new THREE.SphereGeometry(10.05, 64, 64)
+      let cloudsMat = new THREE.MeshStandardMaterial({
+        alphaMap: cloudsMap,
+        transparent: true,
+      })
+      cloudsMat.onBeforeCompile = function( shader ) {
+        // alphaMap only makes sure the USE_ALPHAMAP code paths get compiled, the actual maps come from the sequence
+        // (three.js resets the alphaMap uniform to material.alphaMap on every render, hence the separate uniforms)
+        shader.uniforms.tClouds = cloudUniforms.tClouds
+        shader.uniforms.tCloudsNext = cloudUniforms.tCloudsNext
+        shader.uniforms.cloudsMix = cloudUniforms.cloudsMix
+        shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+          #include <common>
+          uniform sampler2D tClouds;
+          uniform sampler2D tCloudsNext;
+          uniform float cloudsMix;
+        `);
+        shader.fragmentShader = shader.fragmentShader.replace('#include <alphamap_fragment>', `
+          #ifdef USE_ALPHAMAP
+
+            diffuseColor.a *= mix( texture2D( tClouds, vAlphaMapUv ).g, texture2D( tCloudsNext, vAlphaMapUv ).g, cloudsMix );
+
+          #endif
+        `);
+        // the clouds cover the glow of the night lights underneath
+        addBloomSelection(shader, post.bloomSelection, "vec3( 0.0 )")
+      }
+      this.clouds = new THREE.Mesh(cloudGeo, cloudsMat)
+      this.clouds.layers.enable(BLOOM_LAYER)
+      this.group.add(this.clouds)
+      this.relativeCloudRotation = new THREE.Quaternion()
+      this.moonWorldPosition = new THREE.Vector3()
+
+      // the scattering uniforms are shared by the atmosphere shell (the sky around the globe)
+      // and the earth material (the air between the camera and the surface, i.e. the aerial perspective),
+      // the sun direction and planet center get updated in updateScene()
+      const atmosphereUniforms = this.atmosphereUniforms = {
+        sunDirection: { value: new THREE.Vector3(1, 0, 0) },
+        planetCenter: { value: new THREE.Vector3() },
+        planetRadius: { value: 10 },
+        atmosphereRadius: { value: 12.5 },
+        // the real atmosphere is a few tens of km thick, too thin to be seen at the scale of the globe (10 units for 6371 km),
+        // so its height is exaggerated about 19 times
+        kmToUnits: { value: getBodyKmToUnits(this.body) },
+        rayleighRed: params.rayleighRed,
+        rayleighGreen: params.rayleighGreen,
+        rayleighBlue: params.rayleighBlue,
+        mieCoefficient: params.mieCoefficient,
+        rayleighScaleHeight: params.rayleighScaleHeight,
+        mieScaleHeight: params.mieScaleHeight,
+        mieAnisotropy: params.mieAnisotropy,
+        atmSunIntensity: params.atmSunIntensity
+      }
+
+      let atmosGeo = new THREE.SphereGeometry(12.5, 64, 64)
+      let atmosMat = new THREE.ShaderMaterial({
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader.replace("#include <scattering>", scatteringShader),
+        uniforms: {
+          atmOpacity: params.atmOpacity,
+          ...atmosphereUniforms
+        },
+        // notice that by default, Three.js uses NormalBlending, where if your opacity of the output color gets lower, the displayed color might get whiter
+        blending: THREE.AdditiveBlending, // works better than setting transparent: true, because it avoids a weird dark edge around the earth
+        side: THREE.BackSide, // such that it does not overlays on top of the earth; this points the normal in opposite direction in vertex shader
+        depthWrite: false // the sun disk is far behind the shell, and seen through it
+      })
+      this.atmos = new THREE.Mesh(atmosGeo, atmosMat)
+      // the limb glows, the sky is drawn as it is in the bloom selection
+      this.atmos.layers.enable(BLOOM_LAYER)
+      this.group.add(this.atmos)
+      // the shell is sized for the earth's atmosphere, other bodies scale it to theirs
+      this.atmosShellRadius = atmosGeo.parameters.radius
+
+      // the rings of the bodies having some, in the equatorial plane
+      this.rings = createRings(this.group, atmosphereUniforms)
+      this.rings.setLight(params.sunIntensity)
+      // the rings hide the glow of what's behind them
+      this.rings.mesh.material.onBeforeCompile = (shader) => {
+        addBloomSelection(shader, post.bloomSelection, "vec3( 0.0 )")
+      }
+      this.rings.mesh.layers.enable(BLOOM_LAYER)
+
+      scene.add(this.group)
+
+      // meshphysical.glsl.js is the shader used by MeshStandardMaterial: https://github.com/mrdoob/three.js/blob/dev/src/renderers/shaders/ShaderLib/meshphysical.glsl.js
+      // shadowing of clouds, from https://discourse.threejs.org/t/how-to-cast-shadows-from-an-outer-sphere-to-an-inner-sphere/53732/6
+      // some notes of the negative light map done on the earth material to simulate shadows casted by clouds
+      // we need uv_xOffset so as to act as a means to calibrate the offset of the clouds shadows on earth(especially when earth and cloud rotate at different speeds),
+      // it is measured from the actual rotations of the two meshes in updateScene()
+      //
+      // the uniforms are shared objects rather than created per compile,
+      // so that materials cloned from earthMat (i.e. the imagery tiles) see the same values
+      const earthUniforms = this.earthUniforms = { uv_xOffset: { value: 0 } }
+      // the heightmap is the bump map at the current quality tier, see applyQuality()
+      const reliefUniforms = this.reliefUniforms = {
+        reliefMap: { value: bumpMap },
+        reliefScale: { value: getBodyReliefScale(this.body, params.reliefExaggeration) },
+        reliefTexelSize: { value: new THREE.Vector2(1, 1) }
+      }
+      // the displaced surface as the picker sees it, read back from the full size bump map, see applyReliefHeight()
+      this.reliefSurface = { maxHeight: 0, heightAt: () => 0 }
+      this.reliefSampler = { texture: null, sample: () => 0 }
+      const moon = this.moon
+      const rings = this.rings
+      // statistics painted onto the earth, e.g. app.dataLayer.setGrid(await loadGrid("temperature.json"), "Temperature (°C)")
+      const dataLayer = this.dataLayer = createDataLayer({
+        dataOpacity: params.dataOpacity,
+        dataMin: params.dataMin,
+        dataMax: params.dataMax,
+        dataCenter: params.dataCenter,
+        dataClamp: params.dataClamp
+      }, this.container, { onChange: () => this.invalidate() })
+      earthMat.onBeforeCompile = function( shader ) {
+        shader.uniforms.tClouds = cloudUniforms.tClouds
+        shader.uniforms.tCloudsNext = cloudUniforms.tCloudsNext
+        shader.uniforms.cloudsMix = cloudUniforms.cloudsMix
+        shader.uniforms.uv_xOffset = earthUniforms.uv_xOffset
+        Object.assign(shader.uniforms, atmosphereUniforms)
+        // vEarthUv is the equirectangular uv of the globe, which the map uv (vMapUv) isn't when the imagery comes from tiles
+        shader.vertexShader = shader.vertexShader.replace('#include <common>', `
+          #include <common>
+          varying vec2 vEarthUv;
+          varying vec3 vAtmWorldPosition;
+        `);
+        shader.vertexShader = shader.vertexShader.replace('#include <uv_vertex>', `
+          #include <uv_vertex>
+          vEarthUv = uv;
+        `);
+        shader.vertexShader = shader.vertexShader.replace('#include <project_vertex>', `
+          #include <project_vertex>
+          vAtmWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;
+        `);
+        shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+          #include <common>
+          varying vec2 vEarthUv;
+          uniform sampler2D tClouds;
+          uniform sampler2D tCloudsNext;
+          uniform float cloudsMix;
+          uniform float uv_xOffset;
+          varying vec3 vAtmWorldPosition;
+          ${scatteringShader}
+        `);
+        shader.fragmentShader = shader.fragmentShader.replace('#include <roughnessmap_fragment>', `
+          float roughnessFactor = roughness;
+
+          #ifdef USE_ROUGHNESSMAP
+
+            vec4 texelRoughness = texture2D( roughnessMap, vRoughnessMapUv );
+            // reversing the black and white values because we provide the ocean map
+            texelRoughness = vec4(1.0) - texelRoughness;
+
+            // reads channel G, compatible with a combined OcclusionRoughnessMetallic (RGB) texture
+            roughnessFactor *= clamp(texelRoughness.g, 0.5, 1.0);
+
+          #endif
+        `);
+        shader.fragmentShader = shader.fragmentShader.replace('#include <emissivemap_fragment>', `
+          // the night lights and the cloud shadows get left out at the lowest quality tier
+          #ifdef NIGHT_LIGHTS
+          #ifdef USE_EMISSIVEMAP
+
+            vec4 emissiveColor = texture2D( emissiveMap, vEmissiveMapUv );
+
+            // Methodology of showing night lights only:
+            //
+            // going through the shader calculations in the meshphysical shader chunks (mostly on the vertex side),
+            // we can confirm that geometryNormal is the normalized normal in view space,
+            // for the night side of the earth, the dot product between geometryNormal and the directional light would be negative
+            // since the direction vector actually points from target to position of the DirectionalLight,
+            // for lit side of the earth, the reverse happens thus emissiveColor would be multiplied with 0.
+            // The smoothstep is to smoothen the change between night and day
+          
+            emissiveColor *= 1.0 - smoothstep(-0.02, 0.0, dot(geometryNormal, directionalLights[0].direction));
+          
+            totalEmissiveRadiance *= emissiveColor.rgb;
+
+          #endif
+          #else
+
+            totalEmissiveRadiance = vec3( 0.0 );
+
+          #endif
+
+          #ifdef CLOUD_SHADOWS
+
+          // Methodology explanation:
+          //
+          // Our goal here is to use a “negative light map” approach to cast cloud shadows,
+          // the idea is on any uv point on earth map(Point X),
+          // we find the corresponding uv point(Point Y) on clouds map that is directly above Point X,
+          // then we extract color value at Point Y.
+          // We then darken the color value at Point X depending on the color value at Point Y,
+          // that is the intensity of the clouds at Point Y.
+          //
+          // Since the clouds drift relative to the earth,
+          // in order to get the correct shadows(clouds) position in this earth's fragment shader
+          // we need to minus earth's UV.x coordinate(vEarthUv.x) by uv_xOffset,
+          // which is calculated and explained in the updateScene()
+          // after minus by uv_xOffset, the result would be in the range of -1 to 1,
+          // we need to set RepeatWrapping for wrapS of the clouds texture so that texture2D still works for -1 to 0
+
+          vec2 cloudsUv = vec2(vEarthUv.x - uv_xOffset, vEarthUv.y);
+          // crossfading between the two frames of the cloud sequence around the current time, same as the cloud shell does
+          float cloudsMapValue = mix(texture2D(tClouds, cloudsUv).r, texture2D(tCloudsNext, cloudsUv).r, cloudsMix);
+        
+          // The shadow should be more intense where the clouds are more intense,
+          // thus we do 1.0 minus cloudsMapValue to obtain the shadowValue, which is multiplied to diffuseColor
+          // we also clamp the shadowValue to a minimum of 0.2 so it doesn't get too dark
+        
+          diffuseColor.rgb *= max(1.0 - cloudsMapValue, 0.2 );
+
+          #endif
+        `);
+        // aerial perspective: the lit surface is seen through the air between it and the camera,
+        // which dims it and adds the light scattered along the way (the same exposure curve as the sky, see fragment.glsl)
+        shader.fragmentShader = shader.fragmentShader.replace('#include <tonemapping_fragment>', `
+          vec3 viewRay = vAtmWorldPosition - cameraPosition;
+          vec3 airTransmittance;
+          vec3 inscattered = scatter( cameraPosition, normalize( viewRay ), length( viewRay ), airTransmittance );
+          gl_FragColor.rgb = gl_FragColor.rgb * airTransmittance + 1.0 - exp( -inscattered );
+
+          #include <tonemapping_fragment>
+        `)
+        // umbra and penumbra of the moon during solar eclipses
+        addMoonShadow(shader, moon.eclipseUniforms, "vAtmWorldPosition")
+        // the shadow of the rings, if any
+        addRingShadow(shader, rings.shadowUniforms, "vAtmWorldPosition")
+        // the data overlay, blended into the albedo before the lighting
+        addDataOverlay(shader, dataLayer.uniforms, "vEarthUv")
+        // only the night lights glow, the rest of the earth hides the glow of what's behind it
+        addBloomSelection(shader, post.bloomSelection, "totalEmissiveRadiance")
+        // the relief displaces the vertices, the maps, the cloud shadows and the ocean keep the uv of the undisplaced point
+        addRelief(shader, reliefUniforms)
+      }
+
+      // quality tiers, stepped through by the measured frame rate unless one is pinned in the GUI
+      this.quality = createQualityGovernor({
+        initialTier: params.qualityTier === "auto" ? "high" : params.qualityTier,
+        onChange: (tier) => {
+          this.applyQuality(tier)
+          this.invalidate()
+        }
+      })
+      if (params.qualityTier !== "auto") this.quality.pin(params.qualityTier)
+      this.applyQuality(this.quality.tier)
+
+      // the post-processing starts out from the params, the GUI keeps it in sync from then on
+      post.bloomPass.enabled = params.bloom
+      Object.assign(post.bloomPass.bloom, { strength: params.bloomStrength, radius: params.bloomRadius, threshold: params.bloomThreshold })
+      post.sun.visible = params.showSun
+      post.setSunSize(params.sunSize)
+      post.flarePass.enabled = params.lensFlare
+      post.setFlareStrength(params.flareIntensity)
+      renderer.toneMapping = TONE_MAPPINGS[params.toneMapping]
+      renderer.toneMappingExposure = params.exposure
+      post.setAntialiasing(params.antialiasing)
+
+      // GUI controls
+      // the panel lives in the container rather than the page's corner, so each globe has its own
+      const gui = new dat.GUI({ autoPlace: false })
+      gui.domElement.classList.add("earth-gui")
+      gui.domElement.style.display = showGui ? "" : "none"
+      this.container.appendChild(gui.domElement)
+      this.gui = gui
+      // whatever gets tweaked in the panel is redrawn, the DOM events are caught rather than every controller's onChange
+      const onGuiInput = (e) => {
+        if (e.type !== "pointermove" || e.buttons) this.invalidate()
+      }
+      for (const type of ["pointerdown", "pointermove", "keydown", "change", "input"]) {
+        gui.domElement.addEventListener(type, onGuiInput)
+      }
+      gui.add(params, "body", Object.fromEntries(Object.values(BODY_PRESETS).map((body) => [body.name, body.id]))).onChange((val) => {
+        this.setBody(val)
+      }).name("Body")
+      gui.add(params, "sunIntensity", 0.0, 5.0, 0.1).onChange((val) => {
+        this.dirLight.intensity = val
+        this.rings.setLight(val)
+      }).name("Sun Intensity")
+      gui.add(params, "metalness", 0.0, 1.0, 0.05).onChange((val) => {
+        earthMat.metalness = val
+      }).name("Ocean Metalness")
+
+      const reliefFolder = gui.addFolder("Relief")
+      reliefFolder.add(params, "relief").onChange(() => {
+        // swaps the globe's geometry and shader branch
+        this.applyQuality(this.quality.tier)
+      }).name("Visible")
+      reliefFolder.add(params, "reliefExaggeration", 1, 100, 1).onChange((val) => {
+        this.reliefUniforms.reliefScale.value = getBodyReliefScale(this.body, val)
+        this.applyReliefHeight()
+      }).name("Exaggeration")
+
+      const atmosphereFolder = gui.addFolder("Atmosphere")
+      atmosphereFolder.add(params.atmOpacity, "value", 0.0, 1.0, 0.05).name("Sky Opacity")
+      atmosphereFolder.add(params.atmSunIntensity, "value", 0.0, 60.0, 0.5).name("Sun Intensity")
+      atmosphereFolder.add(params.rayleighRed, "value", 0.0, 60.0, 0.1).name("Rayleigh R (1e-6/m)")
+      atmosphereFolder.add(params.rayleighGreen, "value", 0.0, 60.0, 0.1).name("Rayleigh G (1e-6/m)")
+      atmosphereFolder.add(params.rayleighBlue, "value", 0.0, 60.0, 0.1).name("Rayleigh B (1e-6/m)")
+      atmosphereFolder.add(params.rayleighScaleHeight, "value", 1.0, 20.0, 0.1).name("Rayleigh Height (km)")
+      atmosphereFolder.add(params.mieCoefficient, "value", 0.0, 200.0, 0.5).name("Mie (1e-6/m)")
+      atmosphereFolder.add(params.mieScaleHeight, "value", 0.1, 5.0, 0.05).name("Mie Height (km)")
+      atmosphereFolder.add(params.mieAnisotropy, "value", 0.0, 0.99, 0.01).name("Mie Anisotropy")
+
+      // the date field is proxied through getters/setters so that .listen() keeps it in sync with the clock while playing
+      const clock = this.clock
+      const timeControls = {
+        get date() { return formatUTCDate(clock.getDate()) },
+        set date(str) {
+          const date = parseUTCDate(str)
+          if (date) clock.setDate(date)
+        },
+        now() { clock.reset() }
+      }
+      const timeFolder = gui.addFolder("Time (UTC)")
+      timeFolder.add(timeControls, "date").name("Date").listen()
+      timeFolder.add(params, "playing").name("Play")
+      timeFolder.add(params, "timeScale", {
+        "Real time": 1,
+        "1 min/s": 60,
+        "10 min/s": 600,
+        "1 hour/s": 3600,
+        "1 day/s": 86400,
+        "1 week/s": 604800,
+        "-1 hour/s": -3600,
+        "-1 day/s": -86400
+      }).name("Rate").onChange((val) => {
+        // dat.GUI hands back the option values as strings
+        params.timeScale = Number(val)
+      })
+      timeFolder.add(timeControls, "now").name("Jump to now")
+      timeFolder.open()
+
+      const moonFolder = gui.addFolder("Moon")
+      moonFolder.add(params, "showMoon").onChange((val) => {
+        this.moon.setVisible(val && this.body.moon)
+      }).name("Visible")
+      moonFolder.add(params, "moonDistanceScale", 0.05, 1.0, 0.01).onChange((val) => {
+        this.moon.setDistanceScale(val)
+      }).name("Distance Scale")
+      moonFolder.add({
+        get phase() {
+          const { illumination, waxing } = getMoonPhase(clock.getDate())
+          return `${(illumination * 100).toFixed(0)}% ${waxing ? "waxing" : "waning"}`
+        },
+        set phase(_) {} // read only, but dat.GUI writes back whatever gets typed in the field
+      }, "phase").name("Phase").listen()
+      // a couple of eclipses to replay, at their greatest
+      moonFolder.add({ solar: () => clock.setDate(new Date("2024-04-08T18:17:00Z")) }, "solar").name("Solar eclipse 2024-04-08")
+      moonFolder.add({ lunar: () => clock.setDate(new Date("2025-03-14T06:58:00Z")) }, "lunar").name("Lunar eclipse 2025-03-14")
+
+      // Stats - show fps
+      this.stats1 = new Stats()
+      this.stats1.showPanel(0) // Panel 0 = fps
+      this.stats1.domElement.style.cssText = `position:absolute;top:0px;left:0px;${showStats ? "" : "display:none;"}`
+      // this.container is the parent DOM element of the threejs canvas element
+      this.container.appendChild(this.stats1.domElement)
+
+      // picking of the globe and its layers, the earth mesh defines the lat/lon frame
+      this.picker = createPicker(camera, renderer.domElement, this.earth, this.reliefSurface)
+
+      // points of interest, e.g. app.markers.addMarker({ lat: 51.5, lon: -0.13, label: "London", data: {...} })
+      this.markers = createMarkerLayer(this.overlays, camera, this.container, this.picker, { onChange: () => this.invalidate() })
+
+      // the catalog stars are in the earth's equatorial frame: the sky seen from the earth, which stays put whatever the body shown,
+      // whereas the group takes the tilt of the body. The earth turns under them by sidereal time
+      this.skyFrame = new THREE.Group()
+      this.skyFrame.rotation.z = THREE.MathUtils.degToRad(BODY_PRESETS.earth.axialTilt)
+      scene.add(this.skyFrame)
+      this.stars = createStarLayer(this.skyFrame, camera, this.container, this.picker)
+      this.stars.setVisible(params.starField === "catalog")
+      this.stars.setConstellationsVisible(params.showConstellations)
+      this.stars.setSizeScale(params.starSize)
+      const skyFolder = gui.addFolder("Sky")
+      skyFolder.add(params, "starField", { "Gaia image": "image", "Star catalog": "catalog" }).onChange((val) => {
+        this.stars.setVisible(val === "catalog")
+        scene.background = val === "catalog" ? null : this.textureVariants.get(this.envMap).get(this.quality.tier.textureScale)
+      }).name("Stars")
+      skyFolder.add(params, "showConstellations").onChange((val) => {
+        this.stars.setConstellationsVisible(val)
+      }).name("Constellations")
+      skyFolder.add(params, "starSize", 0.5, 4.0, 0.1).onChange((val) => {
+        this.stars.setSizeScale(val)
+      }).name("Star Size")
+
+      // readout of what's under the cursor
+      this.readout = document.createElement("div")
+      this.readout.className = "readout"
+      this.container.appendChild(this.readout)
+      this.picker.addEventListener("hover", (e) => {
+        // layers highlight what's hovered
+        this.invalidate()
+        const parts = []
+        if (e.lat !== null) parts.push(`${e.lat.toFixed(2)}°, ${e.lon.toFixed(2)}°`)
+        const description = describeHit(e.hit)
+        if (description) parts.push(description)
+        const datum = this.dataLayer.valueAt(e.lat, e.lon)
+        if (datum) parts.push(datum.text)
+        this.readout.textContent = parts.join(" · ")
+      })
+
+      // panel showing the details of whatever got clicked
+      this.infoPanel = document.createElement("div")
+      this.infoPanel.className = "info-panel"
+      this.container.appendChild(this.infoPanel)
+      this.picker.addEventListener("click", (e) => {
+        if (!e.hit) this.infoPanel.style.display = "none"
+      })
+      this.markers.addEventListener("click", (e) => {
+        this.showInfo(e.marker.label, e.data || { lat: e.marker.lat, lon: e.marker.lon })
+      })
+
+      // vector overlays, e.g. await app.geojson.load("borders.geojson")
+      this.geojson = createGeoJsonLayer(this.overlays, this.picker, { onChange: () => this.invalidate() })
+      this.geojson.addEventListener("click", (e) => {
+        this.showInfo(describeHit(e) || e.dataset.name, e.properties)
+      })
+      const geojsonFolder = gui.addFolder("GeoJSON")
+      geojsonFolder.add({
+        load: async () => {
+          for (const file of await pickFiles(".json,.geojson", true)) {
+            let dataset
+            try {
+              dataset = await this.geojson.load(file)
+            } catch (error) {
+              // the other files picked along with it still get loaded
+              this.showInfo("Could not load GeoJSON", { [file.name]: error.message })
+              continue
+            }
+            // visibility toggles for each dataset
+            const datasetFolder = geojsonFolder.addFolder(dataset.name)
+            datasetFolder.add(dataset.lineMesh, "visible").name("Lines")
+            datasetFolder.add(dataset.fillMesh, "visible").name("Fill")
+            datasetFolder.add(dataset.fillMesh.material, "opacity", 0.0, 1.0, 0.05).name("Fill Opacity")
+            datasetFolder.add({
+              remove: () => {
+                this.geojson.remove(dataset)
+                geojsonFolder.removeFolder(datasetFolder)
+              }
+            }, "remove").name("Remove")
+            datasetFolder.open()
+          }
+        }
+      }, "load").name("Load GeoJSON...")
+
+      // satellites propagated from TLE files, e.g. await app.satellites.load("stations.txt")
+      this.satellites = createSatelliteLayer(this.group, this.overlays, this.picker, { onChange: () => this.invalidate() })
+      this.satellites.addEventListener("click", (e) => {
+        const info = this.satellites.getInfo(e.satellite, this.clock.getDate())
+        this.showInfo(e.satellite.name, info ? {
+          altitude: `${info.altitude.toFixed(1)} km`,
+          lat: `${info.lat.toFixed(2)}°`,
+          lon: `${info.lon.toFixed(2)}°`
+        } : { status: "cannot be propagated to this date" })
+      })
+      const satellitesFolder = gui.addFolder("Satellites")
+      satellitesFolder.add(params, "showSatellites").onChange((val) => {
+        this.satellites.setVisible(val)
+      }).name("Visible")
+      satellitesFolder.add(params, "showSatelliteTrails").onChange((val) => {
+        this.satellites.showTrails = val
+      }).name("Orbit Trail")
+      satellitesFolder.add(params, "showGroundTracks").onChange((val) => {
+        this.satellites.showGroundTracks = val
+      }).name("Ground Track")
+      satellitesFolder.add({
+        load: async () => {
+          const [file] = await pickFiles(".txt,.tle,.3le")
+          if (!file) return
+          try {
+            await this.satellites.load(file)
+          } catch (error) {
+            this.showInfo("Could not load TLE file", { [file.name]: error.message })
+          }
+        }
+      }, "load").name("Load TLE file...")
+
+      const cloudsFolder = gui.addFolder("Clouds")
+      cloudsFolder.add(params, "cloudDriftRate", -2.0, 2.0, 0.01).name("Drift (rev/day)")
+      cloudsFolder.add({
+        load: async () => {
+          // timestamps are read from the file names, e.g. clouds_2024-04-08T18.png
+          const files = await pickFiles("image/*", true)
+          if (!files.length) return
+          const skipped = await this.cloudSequence.loadFiles(files)
+          this.invalidate()
+          if (skipped.length) this.showInfo("Cloud frames without a timestamp in their name", Object.assign({}, skipped))
+        }
+      }, "load").name("Load cloud frames...")
+      cloudsFolder.add({ reset: () => this.cloudSequence.clear() }, "reset").name("Static clouds")
+
+      // wind particles, under the clouds and turning with the earth
+      this.wind = createWindLayer(this.overlays, {
+        count: params.windDensity,
+        speedScale: params.windSpeed,
+        trailLength: params.windTrail,
+        onChange: () => this.invalidate()
+      })
+      this.wind.setVisible(params.showWind)
+      const windFolder = gui.addFolder("Wind")
+      windFolder.add(params, "showWind").onChange((val) => {
+        this.wind.setVisible(val)
+      }).name("Visible")
+      windFolder.add(params, "windDensity", 500, 20000, 500).onChange((val) => {
+        this.wind.setCount(val)
+      }).name("Density")
+      windFolder.add(params, "windSpeed", 0.01, 2.0, 0.01).onChange((val) => {
+        this.wind.setSpeedScale(val)
+      }).name("Speed")
+      windFolder.add(params, "windTrail", 2, 40, 1).onChange((val) => {
+        this.wind.setTrailLength(val)
+      }).name("Trail")
+      windFolder.add({
+        load: async () => {
+          // a PNG comes with the JSON holding the ranges of its components
+          const files = await pickFiles(".json,.png", true)
+          const image = files.find((file) => /\.png$/i.test(file.name))
+          const json = files.find((file) => /\.json$/i.test(file.name))
+          const file = image || json
+          if (!file) return
+          try {
+            const meta = image && json ? JSON.parse(await json.text()) : {}
+            this.wind.setField(await loadWindField(file, meta))
+          } catch (error) {
+            this.showInfo("Could not load wind field", { [file.name]: error.message })
+          }
+        }
+      }, "load").name("Load wind field...")
+      windFolder.add({ clear: () => this.wind.clear() }, "clear").name("Clear")
+
+      // streamed imagery tiles, drawn with a clone of the earth material so the night lights, ocean and cloud shadows still apply
+      this.tiles = createTileLayer(this.earth, camera, {
+        urlTemplate: params.tileUrl,
+        maxZoom: params.tileMaxZoom,
+        detail: params.tileDetail,
+        onLoad: () => this.invalidate()
+      })
+      const tilesFolder = gui.addFolder("Tiles")
+      tilesFolder.add(params, "showTiles").onChange((val) => {
+        // the imagery is the earth's
+        this.tiles.setVisible(val && this.body.id === "earth")
+      }).name("Visible")
+      tilesFolder.add(params, "tileUrl").onFinishChange((val) => {
+        this.tiles.setUrlTemplate(val)
+      }).name("URL Template")
+      tilesFolder.add(params, "tileMaxZoom", 0, 19, 1).onChange((val) => {
+        this.tiles.setMaxZoom(val)
+      }).name("Max Zoom")
+      tilesFolder.add(params, "tileDetail", 0.25, 4.0, 0.05).onChange((val) => {
+        this.tiles.setDetail(val)
+      }).name("Detail")
+
+      const dataFolder = gui.addFolder("Data")
+      // also called once data got loaded. Setting the controllers' values isn't caught by the panel's input events
+      const fitRange = () => {
+        this.invalidate()
+        const range = this.dataLayer.getRange()
+        if (!range) return
+        dataMinController.setValue(range.min)
+        dataMaxController.setValue(range.max)
+        // diverging ramps are centered on 0 when the data spans both signs
+        dataCenterController.setValue(range.min < 0 && range.max > 0 ? 0 : (range.min + range.max) / 2)
+      }
+      dataFolder.add({
+        load: async () => {
+          const [file] = await pickFiles(".json,.geojson")
+          if (!file) return
+          try {
+            this.dataBoundaries = JSON.parse(await file.text())
+          } catch (error) {
+            this.showInfo("Could not load boundaries", { [file.name]: error.message })
+          }
+        }
+      }, "load").name("Load boundaries...")
+      dataFolder.add({
+        load: async () => {
+          const [file] = await pickFiles(".csv,.json")
+          if (!file) return
+          if (!this.dataBoundaries) {
+            this.showInfo("Country values", { error: "Load the country boundaries (GeoJSON with ISO codes) first" })
+            return
+          }
+          try {
+            const unmatched = this.dataLayer.setCountryValues(this.dataBoundaries, await loadCountryValues(file), file.name)
+            fitRange()
+            if (unmatched.length) this.showInfo("Country codes matching no boundary", Object.assign({}, unmatched))
+          } catch (error) {
+            this.showInfo("Could not load country values", { [file.name]: error.message })
+          }
+        }
+      }, "load").name("Load country values...")
+      dataFolder.add({
+        load: async () => {
+          const [file] = await pickFiles(".json,.csv,.txt,image/*")
+          if (!file) return
+          try {
+            this.dataLayer.setGrid(await loadGrid(file), file.name)
+            fitRange()
+          } catch (error) {
+            this.showInfo("Could not load grid", { [file.name]: error.message })
+          }
+        }
+      }, "load").name("Load grid...")
+      dataFolder.add(params, "dataRamp", Object.keys(RAMPS)).onChange((val) => {
+        this.dataLayer.setRamp(val)
+      }).name("Color Ramp")
+      dataFolder.add(params.dataOpacity, "value", 0.0, 1.0, 0.05).name("Opacity")
+      // no slider bounds, the range depends on the data
+      const dataMinController = dataFolder.add(params.dataMin, "value").onChange(() => this.dataLayer.updateLegend()).name("Min")
+      const dataMaxController = dataFolder.add(params.dataMax, "value").onChange(() => this.dataLayer.updateLegend()).name("Max")
+      const dataCenterController = dataFolder.add(params.dataCenter, "value").onChange(() => this.dataLayer.updateLegend()).name("Center (diverging)")
+      dataFolder.add(params.dataClamp, "value").name("Clamp")
+      dataFolder.add({ fit: fitRange }, "fit").name("Fit range to data")
+      dataFolder.add({ clear: () => this.dataLayer.clear() }, "clear").name("Clear")
+
+      // great-circle arcs, e.g. app.arcs.setRoutes([{ from: { lat, lon }, to: { lat, lon }, color: "#ff0", width: 2 }])
+      this.arcs = createArcLayer(this.overlays, {
+        arcOpacity: params.arcOpacity,
+        dashSize: params.arcDashSize,
+        dashGap: params.arcDashGap,
+        dashSpeed: params.arcDashSpeed
+      }, params.arcHeight, { onChange: () => this.invalidate() })
+      const arcsFolder = gui.addFolder("Arcs")
+      arcsFolder.add(params, "showArcs").onChange((val) => {
+        this.arcs.mesh.visible = val
+      }).name("Visible")
+      arcsFolder.add(params, "arcHeight", 0.0, 5.0, 0.1).onChange((val) => {
+        this.arcs.setHeightFactor(val)
+      }).name("Height")
+      arcsFolder.add(params.arcOpacity, "value", 0.0, 1.0, 0.05).name("Opacity")
+      arcsFolder.add(params.arcDashSize, "value", 0.0, 2.0, 0.05).name("Dash Size")
+      arcsFolder.add(params.arcDashGap, "value", 0.0, 2.0, 0.05).name("Dash Gap")
+      arcsFolder.add(params.arcDashSpeed, "value", -5.0, 5.0, 0.1).name("Dash Speed")
+      arcsFolder.add({
+        load: async () => {
+          const [file] = await pickFiles(".csv,.json")
+          if (!file) return
+          try {
+            this.arcs.setRoutes(await loadRoutes(file))
+          } catch (error) {
+            this.showInfo("Could not load routes", { [file.name]: error.message })
+          }
+        }
+      }, "load").name("Load routes...")
+
+      // search box backed by the offline gazetteer, picking a result flies the camera there
+      this.camFlight = createFlyTo(camera, this.controls, this.earth)
+      this.search = createSearchBox(this.container, (place) => {
+        this.flyTo(place.lat, place.lon, { altitude: params.flyAltitude * (place.type === "country" ? 2 : 1) })
+      })
+      const navFolder = gui.addFolder("Navigation")
+      navFolder.add(params, "flyAltitude", 1, 50, 1).name("Fly-to Altitude")
+
+      const renderingFolder = gui.addFolder("Rendering")
+      renderingFolder.add(params, "renderOnDemand").onChange((val) => {
+        this.engine.onDemand = val
+      }).name("On Demand")
+      renderingFolder.add(params, "idleFps", 1, 30, 1).onChange((val) => {
+        this.engine.idleFps = val
+      }).name("Idle FPS")
+      renderingFolder.add(params, "qualityTier", ["auto", ...QUALITY_TIERS.map((tier) => tier.name)]).onChange((val) => {
+        this.quality.pin(val === "auto" ? null : val)
+      }).name("Quality")
+      const quality = this.quality
+      renderingFolder.add({
+        get tier() { return quality.tier.name },
+        set tier(_) {} // read only, but dat.GUI writes back whatever gets typed in the field
+      }, "tier").name("Current Tier").listen()
+
+      const postFolder = gui.addFolder("Post-processing")
+      postFolder.add(params, "bloom").onChange((val) => {
+        post.bloomPass.enabled = val
+      }).name("Bloom")
+      postFolder.add(params, "bloomStrength", 0.0, 3.0, 0.05).onChange((val) => {
+        post.bloomPass.bloom.strength = val
+      }).name("Bloom Strength")
+      postFolder.add(params, "bloomRadius", 0.0, 1.0, 0.05).onChange((val) => {
+        post.bloomPass.bloom.radius = val
+      }).name("Bloom Radius")
+      postFolder.add(params, "bloomThreshold", 0.0, 1.0, 0.01).onChange((val) => {
+        post.bloomPass.bloom.threshold = val
+      }).name("Bloom Threshold")
+      postFolder.add(params, "showSun").onChange((val) => {
+        post.sun.visible = val
+      }).name("Sun")
+      postFolder.add(params, "sunSize", 1, 20, 0.5).onChange((val) => {
+        post.setSunSize(val)
+      }).name("Sun Size")
+      postFolder.add(params, "lensFlare").onChange((val) => {
+        post.flarePass.enabled = val
+      }).name("Lens Flare")
+      postFolder.add(params, "flareIntensity", 0.0, 3.0, 0.05).onChange((val) => {
+        post.setFlareStrength(val)
+      }).name("Flare Intensity")
+      postFolder.add(params, "toneMapping", Object.keys(TONE_MAPPINGS)).onChange((val) => {
+        renderer.toneMapping = TONE_MAPPINGS[val]
+      }).name("Tone Mapping")
+      postFolder.add(params, "exposure", 0.1, 4.0, 0.05).onChange((val) => {
+        renderer.toneMappingExposure = val
+      }).name("Exposure")
+      postFolder.add(params, "antialiasing", { None: "none", FXAA: "fxaa", SMAA: "smaa" }).onChange((val) => {
+        post.setAntialiasing(val)
+      }).name("Antialiasing")
+
+      // sharing views: the whole state round-trips through the URL hash and preset files
+      const viewFolder = gui.addFolder("View")
+      viewFolder.add({
+        copyLink: () => {
+          navigator.clipboard.writeText(window.location.href.split("#")[0] + encodeViewState(this.getViewState()))
+        }
+      }, "copyLink").name("Copy link")
+      viewFolder.add({
+        save: () => {
+          const name = window.prompt("Preset name", "my-view")
+          if (name) downloadPreset(this.getViewState(), name)
+        }
+      }, "save").name("Save preset...")
+      viewFolder.add({
+        load: async () => {
+          const [file] = await pickFiles(".json")
+          if (!file) return
+          try {
+            this.setViewState(JSON.parse(await file.text()))
+          } catch (error) {
+            this.showInfo("Could not load preset", { [file.name]: error.message })
+          }
+        }
+      }, "load").name("Load preset...")
+
+      // guided tours, e.g. app.tour.load(await (await fetch("eclipse-tour.json")).json()); app.tour.play()
+      this.tour = createTour({ params, camera, controls: this.controls, clock: this.clock, gui }, this.container)
+      // grabbing the globe hands the view back to the user
+      this.controls.addEventListener("start", () => this.tour.pause())
+      const tour = this.tour
+      const tourControls = {
+        get position() { return tour.position },
+        set position(val) { tour.seek(val) }
+      }
+      const tourFolder = gui.addFolder("Tour")
+      tourFolder.add({
+        load: async () => {
+          const [file] = await pickFiles(".json")
+          if (!file) return
+          try {
+            const skipped = this.tour.load(JSON.parse(await file.text()))
+            fitTourPosition()
+            if (skipped.length) this.showInfo("Tour params ignored", Object.assign({}, skipped))
+            this.invalidate()
+          } catch (error) {
+            if (!(error instanceof TourError || error instanceof SyntaxError)) throw error
+            this.showInfo("Could not load tour", { [file.name]: error.message })
+          }
+        }
+      }, "load").name("Load tour...")
+      tourFolder.add({ play: () => this.tour.play() }, "play").name("Play")
+      tourFolder.add({ pause: () => this.tour.pause() }, "pause").name("Pause")
+      const tourPositionController = tourFolder.add(tourControls, "position", 0, 1, 0.1).name("Position (s)").listen()
+      // the slider spans the tour, at least a second so it stays usable while empty
+      const fitTourPosition = () => tourPositionController.max(Math.max(this.tour.duration, 1)).updateDisplay()
+      tourFolder.add({
+        record: () => {
+          // cancelling the prompt cancels the recording, an empty caption hides it
+          const text = window.prompt("Caption of the keyframe", "")
+          if (text === null) return
+          this.tour.recordKeyframe(text)
+          fitTourPosition()
+        }
+      }, "record").name("Record keyframe")
+      tourFolder.add({
+        save: () => {
+          const name = window.prompt("Tour name", this.tour.title || "my-tour")
+          if (name) downloadJson({ ...this.tour.toJSON(), title: name }, name)
+        }
+      }, "save").name("Save tour...")
+      tourFolder.add({
+        clear: () => {
+          this.tour.clear()
+          fitTourPosition()
+        }
+      }, "clear").name("Clear")
+
+      // rendering stills and animations at a chosen resolution, with a fixed timestep so the result doesn't depend on the frame rate
+      this.exporter = createFrameExporter(this, renderer, camera, composer)
+      const exportSettings = { width: 1920, height: 1080, fps: 30, duration: 10, format: "png" }
+      const exportFolder = gui.addFolder("Export")
+      exportFolder.add(exportSettings, "width", 16, 7680, 1).name("Width")
+      exportFolder.add(exportSettings, "height", 16, 4320, 1).name("Height")
+      exportFolder.add(exportSettings, "fps", 1, 120, 1).name("FPS")
+      exportFolder.add(exportSettings, "duration", 0.1, 600, 0.1).name("Duration (s)")
+      exportFolder.add(exportSettings, "format", { "PNG sequence (zip)": "png", "WebM video": "webm" }).name("Format")
+      exportFolder.add({
+        record: async () => {
+          try {
+            await this.exporter.exportFrames(exportSettings)
+          } catch (error) {
+            if (!(error instanceof ExportCancelledError)) this.showInfo("Could not export frames", { error: error.message })
+          }
+        }
+      }, "record").name("Export frames")
+      exportFolder.add({
+        screenshot: async () => {
+          try {
+            await this.exporter.screenshot(exportSettings.width, exportSettings.height)
+          } catch (error) {
+            this.showInfo("Could not take screenshot", { error: error.message })
+          }
+        }
+      }, "screenshot").name("Screenshot")
+
+      // initial params of this globe, going through the GUI like a preset does, so the scene follows them
+      if (options.params) {
+        this.setViewState({ ...this.getViewState(), params: options.params })
+      }
+      if (syncUrlHash) {
+        this.onHashChange = () => {
+          // replaceState() doesn't fire hashchange, so this only happens when a different link gets pasted into the tab
+          if (window.location.hash !== this.lastHash) this.loadViewFromHash()
+        }
+        window.addEventListener("hashchange", this.onHashChange)
+        this.loadViewFromHash()
+      }
+
+      if (Object.keys(failedAssets).length) {
+        this.showInfo("Some assets failed to load", failedAssets)
+      }
+      this.loadingVeil.update(1.0)
+    },
+    /**
+     * Shows the info panel
+     * @param {string} title
+     * @param {object} entries key/value pairs to list below the title
+     */
+    showInfo(title, entries) {
+      this.infoPanel.replaceChildren()
+      const heading = document.createElement("h4")
+      heading.textContent = title
+      this.infoPanel.appendChild(heading)
+      const list = document.createElement("ul")
+      for (const [key, value] of Object.entries(entries || {})) {
+        const item = document.createElement("li")
+        item.textContent = `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`
+        list.appendChild(item)
+      }
+      this.infoPanel.appendChild(list)
+      this.infoPanel.style.display = "block"
+    },
+    /**
+     * Flies the camera to look straight down at a place
+     * @param {number} lat latitude in degrees
+     * @param {number} lon longitude in degrees
+     * @param {object} options (optional) {altitude, duration}, altitude above the surface in scene units, duration in seconds
+     * @returns {Promise} resolves when the camera arrives
+     */
+    flyTo(lat, lon, options = {}) {
+      return this.camFlight.flyTo(lat, lon, { altitude: params.flyAltitude, ...options })
+    },
+    /**
+     * Switches the globe to another body, its textures get loaded the first time
+     * @param {string} id key of one of BODY_PRESETS
+     * @returns {Promise} resolves once the body is shown with its textures
+     */
+    async setBody(id) {
+      const body = BODY_PRESETS[id]
+      if (!body || body === this.body) return
+      this.body = body
+      params.body = id
+
+      this.group.rotation.z = THREE.MathUtils.degToRad(body.axialTilt)
+      // the atmosphere params start out from the body's, the GUI can tweak them from there,
+      // an airless body scatters nothing, which also leaves its surface as it is
+      const { atmosphere } = body
+      for (const key of ["rayleighRed", "rayleighGreen", "rayleighBlue", "mieCoefficient", "atmSunIntensity"]) {
+        params[key].value = atmosphere ? atmosphere[key] : 0
+      }
+      for (const key of ["rayleighScaleHeight", "mieScaleHeight", "mieAnisotropy"]) {
+        if (atmosphere) params[key].value = atmosphere[key]
+      }
+      this.gui.updateDisplay()
+      const kmToUnits = getBodyKmToUnits(body)
+      const atmosphereRadius = 10 + (atmosphere ? atmosphere.thickness : 0) * kmToUnits
+      this.atmosphereUniforms.kmToUnits.value = kmToUnits
+      this.atmosphereUniforms.atmosphereRadius.value = atmosphereRadius
+      this.atmos.scale.setScalar(atmosphereRadius / this.atmosShellRadius)
+      this.atmos.visible = Boolean(atmosphere)
+      this.clouds.visible = Boolean(body.clouds)
+      // the moon, its eclipses and the imagery tiles are the earth's
+      this.moon.setVisible(params.showMoon && body.moon)
+      this.moon.eclipseUniforms.eclipseMoonRadius.value = body.moon ? this.moonRadius : 0
+      this.tiles.setVisible(params.showTiles && body.id === "earth")
+      this.invalidate()
+
+      if (!this.bodyTextures.has(id)) {
+        const failedAssets = {}
+        this.bodyTextures.set(id, loadAssets(getBodyManifest(body, assetBase), {
+          manager: loadingManager,
+          onError: (key, url, error) => {
+            failedAssets[url.split("/").pop()] = `${error.message} (using a placeholder)`
+          }
+        }).then((textures) => {
+          textures.map.colorSpace = THREE.SRGBColorSpace
+          if (Object.keys(failedAssets).length) this.showInfo(`Some assets of ${body.name} failed to load`, failedAssets)
+          return textures
+        }))
+      }
+      const textures = await this.bodyTextures.get(id)
+      // switched again while loading
+      if (this.body !== body) return
+
+      const { map, bumpMap = null, oceanMap = null, lightsMap = null } = textures
+      this.earthMaps = { map, bumpMap, roughnessMap: oceanMap, metalnessMap: oceanMap, emissiveMap: lightsMap }
+      for (const texture of Object.values(this.earthMaps)) {
+        if (texture && !this.textureVariants.has(texture)) this.textureVariants.set(texture, createTextureVariants(texture))
+      }
+      const earthMat = this.earth.material
+      earthMat.bumpScale = body.bumpScale
+      this.reliefUniforms.reliefScale.value = getBodyReliefScale(body, params.reliefExaggeration)
+      // without night lights the emissive color would light up the whole night side
+      earthMat.emissive.set(lightsMap ? 0xffff88 : 0x000000)
+      if (body.clouds) this.cloudSequence.setStaticMap(textures.cloudsMap)
+      this.rings.setRings(body.rings && {
+        innerRadius: body.rings.innerRadius / body.radius * 10,
+        outerRadius: body.rings.outerRadius / body.radius * 10
+      }, textures.ringMap)
+      // swaps in the maps at the current tier, with the shader branches of the body's layers
+      this.applyQuality(this.quality.tier)
+      this.invalidate()
+    },
+    /**
+     * Applies a quality tier, see quality.js
+     * @param {object} tier one of QUALITY_TIERS
+     */
+    applyQuality(tier) {
+      const pixelRatio = Math.min(window.devicePixelRatio, tier.maxPixelRatio)
+      renderer.setPixelRatio(pixelRatio)
+      composer.setPixelRatio(pixelRatio)
+      for (const target of [composer.renderTarget1, composer.renderTarget2]) {
+        if (target.samples === tier.samples) continue
+        // the render target gets set up again, with the new sample count, the next time it is used
+        target.samples = tier.samples
+        target.dispose()
+      }
+
+      for (const mesh of [this.clouds, this.atmos]) {
+        const { radius, widthSegments } = mesh.geometry.parameters
+        if (widthSegments === tier.segments) continue
+        mesh.geometry.dispose()
+        mesh.geometry = new THREE.SphereGeometry(radius, tier.segments, tier.segments)
+      }
+      // the relief needs the finer, evenly spread triangles of a cube-sphere, and a body with a heightmap
+      const relief = params.relief && Boolean(this.earthMaps.bumpMap) && Boolean(this.body.reliefHeight)
+      const { segments, widthSegments } = this.earth.geometry.parameters
+      if (relief ? segments !== tier.reliefSegments : widthSegments !== tier.segments) {
+        this.earth.geometry.dispose()
+        this.earth.geometry = relief ? createCubeSphereGeometry(10, tier.reliefSegments) : new THREE.SphereGeometry(10, tier.segments, tier.segments)
+      }
+
+      // the slots a body has no map for are left empty
+      for (const [slot, texture] of Object.entries(this.earthMaps)) {
+        this.earth.material[slot] = texture && this.textureVariants.get(texture).get(tier.textureScale)
+      }
+      if (relief) {
+        const reliefMap = this.earth.material.bumpMap
+        this.reliefUniforms.reliefMap.value = reliefMap
+        this.reliefUniforms.reliefTexelSize.value.set(1 / reliefMap.image.width, 1 / reliefMap.image.height)
+      }
+      // the catalog stars replace the background image
+      scene.background = params.starField === "catalog" ? null : this.textureVariants.get(this.envMap).get(tier.textureScale)
+
+      // the shader branches, as a new defines object so the imagery tiles notice and follow (see tiles.js)
+      const { CLOUD_SHADOWS, NIGHT_LIGHTS, RELIEF, SCATTER_STEPS, SCATTER_LIGHT_STEPS, ...baseDefines } = this.earth.material.defines || {}
+      const scatterDefines = { SCATTER_STEPS: tier.scatterSteps, SCATTER_LIGHT_STEPS: tier.scatterLightSteps }
+      const earthDefines = { ...baseDefines, ...scatterDefines }
+      if (tier.cloudShadows && this.body.clouds) earthDefines.CLOUD_SHADOWS = ""
+      if (tier.nightLights) earthDefines.NIGHT_LIGHTS = ""
+      if (relief) earthDefines.RELIEF = ""
+      this.earth.material.defines = earthDefines
+      this.earth.material.needsUpdate = true
+      this.atmos.material.defines = scatterDefines
+      this.atmos.material.needsUpdate = true
+      this.applyReliefHeight()
+    },
+    /**
+     * Lifts the clouds and the overlays clear of the highest the relief rises, so the mountains don't poke through them,
+     * and has the picker follow the displaced surface. Call after changing the relief scale
+     */
+    applyReliefHeight() {
+      const height = "RELIEF" in this.earth.material.defines ? this.reliefUniforms.reliefScale.value : 0
+      const { bumpMap } = this.earthMaps
+      if (height > 0 && this.reliefSampler.texture !== bumpMap) {
+        this.reliefSampler = { texture: bumpMap, sample: createHeightSampler(bumpMap) }
+      }
+      const { sample } = this.reliefSampler
+      this.reliefSurface.maxHeight = height
+      this.reliefSurface.heightAt = (lat, lon) => sample(lat, lon) * height
+      const cloudRadius = this.clouds.geometry.parameters.radius
+      this.clouds.scale.setScalar((cloudRadius + height) / cloudRadius)
+      this.overlays.scale.setScalar((this.earth.geometry.parameters.radius + height) / this.earth.geometry.parameters.radius)
+    },
+    // asks for a redraw when rendering on demand, the layers call it whenever they change, anything else changed through the API needs it
+    invalidate() {
+      this.engine.invalidate()
+    },
+    /**
+     * Called by runApp every frame when rendering on demand (params.renderOnDemand), to know what the ongoing motions need
+     * @returns {string} "continuous" for every frame, "idle" for frames at params.idleFps, "none" when nothing moves by itself
+     */
+    getRenderDemand() {
+      // camera flights, tours and the wind particles move every frame
+      if (this.camFlight.flying || this.tour.playing || this.wind.animating) return "continuous"
+      // fast forwarding needs every frame, while the earth turning in real time moves too little to notice between idle frames
+      if (params.playing && params.timeScale !== 0) {
+        const degreesPerIdleFrame = Math.abs(params.timeScale) * 360 / 86164 / params.idleFps
+        return degreesPerIdleFrame > 0.1 ? "continuous" : "idle"
+      }
+      // tiles are only requested from update(), and flowing dashes are animated
+      if (this.tiles.loading || (params.showArcs && this.arcs.count > 0 && params.arcDashSpeed.value !== 0)) return "idle"
+      return "none"
+    },
+    // @returns {object} the current view state, see view-state.js
+    getViewState() {
+      return serializeViewState({ params, camera, controls: this.controls, clock: this.clock })
+    },
+    /**
+     * @param {object} state a view state, possibly from an older version of the app
+     * @throws {ViewStateError} if the state is invalid
+     */
+    setViewState(state) {
+      const skipped = applyViewState(validateViewState(state), { params, camera, controls: this.controls, clock: this.clock, gui: this.gui })
+      this.invalidate()
+      if (skipped.length) this.showInfo("View state params ignored", Object.assign({}, skipped))
+    },
+    loadViewFromHash() {
+      try {
+        const state = decodeViewState(window.location.hash)
+        if (state) this.setViewState(state)
+      } catch (error) {
+        this.showInfo("Could not open the shared view", { error: error.message })
+      }
+      this.lastHash = window.location.hash
+    },
+    // writes the current view state into the URL hash, without adding browser history entries
+    updateHash() {
+      const hash = encodeViewState(this.getViewState())
+      if (hash !== this.lastHash) {
+        window.history.replaceState(null, "", hash)
+        this.lastHash = hash
+      }
+    },
+    // @param {number} interval - time elapsed between 2 frames
+    // @param {number} elapsed - total time elapsed since app start
+    updateScene(interval, elapsed) {
+      this.controls.update()
+      this.stats1.update()
+
+      // after controls.update() so the tour has the last word on the camera, and before the clock,
+      // which the tour sets itself when it has keyframes setting the time
+      this.tour.update(interval)
+      this.clock.tick(interval, params.playing && !this.tour.drivesClock ? params.timeScale : 0)
+      const date = this.clock.getDate()
+
+      // everything below is derived from the simulation time alone (no accumulated deltas),
+      // so scrubbing, pausing or reversing the clock always lands on the same state.
+      // The group's local frame is equatorial: +Y points to the celestial north pole and +X to the vernal equinox,
+      // thus rotating the earth by GMST brings the Greenwich meridian (lon 0) to its correct sidereal angle,
+      // other bodies turn their prime meridian the same way
+      const earthAngle = getBodyRotation(this.body, date)
+      this.earth.rotation.y = earthAngle
+
+      // the clouds are ahead of the earth by a drift, a fraction of a revolution that grows with time at the configured rate
+      const cloudDrift = THREE.MathUtils.euclideanModulo(daysSinceJ2000(date) * params.cloudDriftRate, 1)
+      this.clouds.rotation.y = earthAngle + cloudDrift * 2 * Math.PI
+      this.cloudSequence.update(date)
+
+      // The relative rotation of the clouds as seen from the earth is measured from the two meshes,
+      // rather than assuming how they are spun, so the shadows stay aligned whatever the speeds are.
+      // Both spin about their local Y axis, so the relative rotation is a rotation about Y by n radians,
+      // whose quaternion is (0, sin(n/2), 0, cos(n/2)).
+      // As the clouds are n radians ahead of the earth, for Point X on the earth,
+      // uv.x of Point Y would always be = uv.x of Point X - n / 2π.
+      // Dividing n by 2π is to convert from radians(i.e. 0 to 2π) into the uv space(i.e. 0 to 1),
+      // it is passed into the shader program via the uniform variable: uv_xOffset.
+      const relative = this.relativeCloudRotation.copy(this.earth.quaternion).invert().multiply(this.clouds.quaternion)
+      const n = 2 * Math.atan2(relative.y, relative.w)
+      this.earthUniforms.uv_xOffset.value = THREE.MathUtils.euclideanModulo(n / (2 * Math.PI), 1)
+
+      // point the sun from where it is in the sky of the current simulation time, among the stars of the sky frame
+      // whatever the body shown, whose tilt only turns its pole
+      const sun = getSolarPosition(date)
+      this.skyFrame.updateMatrixWorld()
+      latLonToVector3(sun.declination, sun.rightAscension, 1, this.dirLight.position)
+        .transformDirection(this.skyFrame.matrixWorld)
+        .multiplyScalar(50)
+      // the light points at its target, the origin
+      this.atmosphereUniforms.sunDirection.value.copy(this.dirLight.position).normalize()
+      this.earth.getWorldPosition(this.atmosphereUniforms.planetCenter.value)
+      this.moon.update(date)
+      this.rings.update()
+
+      // after controls.update() so the flight has the last word on the camera
+      this.camFlight.update(interval)
+
+      // the sun disk and its flare, which the earth and the moon can hide
+      const occluders = [{ center: this.atmosphereUniforms.planetCenter.value, radius: 10 }]
+      if (this.moon.mesh.visible) {
+        occluders.push({ center: this.moon.mesh.getWorldPosition(this.moonWorldPosition), radius: this.moon.mesh.geometry.parameters.radius })
+      }
+      post.update(this.atmosphereUniforms.sunDirection.value, occluders)
+      this.stars.update(renderer.getPixelRatio())
+
+      this.markers.update()
+      this.arcs.update(elapsed)
+      this.wind.update(interval)
+      // frames stepped while the loop is stopped are those of exports, which need every satellite at the same time
+      this.satellites.update(date, { all: !this.engine.running })
+      this.tiles.update(renderer.getSize(this.viewportSize).y)
+
+      // only frames rendered back to back tell the frame rate, not those spaced out on demand or stepped by the exporter
+      if (this.engine.running && (!this.engine.onDemand || this.getRenderDemand() === "continuous")) {
+        this.quality.sample(interval)
+      }
+
+      // keep the URL hash in sync with the view, once a second is plenty
+      this.hashTimer = (this.hashTimer || 0) + interval
+      if (syncUrlHash && this.hashTimer > 1) {
+        this.hashTimer = 0
+        this.updateHash()
+      }
+    },
+    // called by runApp when the container resizes
+    // also called by the frame exporter with the size of the export
+    resize(width, height) {
+      // the container can be observed before initScene is done
+      if (this.arcs) this.arcs.setSize(width, height)
+    },
+    // called by runApp when the globe gets disposed, once initScene is done (or failed half way),
+    // it removes the listeners and DOM of the layers, their geometries, materials and textures get freed by runApp with the rest of the scene
+    disposeScene() {
+      if (this.onHashChange) window.removeEventListener("hashchange", this.onHashChange)
+      const disposables = [
+        post, this.controls, this.picker, this.markers, this.geojson, this.satellites, this.search, this.tiles,
+        this.cloudSequence, this.dataLayer, this.moon, this.arcs, this.wind, this.stars, this.rings, this.tour
+      ]
+      disposables.forEach((disposable) => disposable && disposable.dispose())
+      if (this.camFlight) this.camFlight.cancel()
+      if (this.gui) {
+        this.gui.destroy()
+        this.gui.domElement.remove()
+      }
+      if (this.stats1) this.stats1.domElement.remove()
+      // the copies that aren't in use, those in use get freed with the scene
+      if (this.textureVariants) this.textureVariants.forEach((variants) => variants.dispose())
+      // the textures of the bodies not shown
+      if (this.bodyTextures) {
+        this.bodyTextures.forEach((textures) => textures.then((loaded) => Object.values(loaded).forEach((texture) => texture.dispose())))
+      }
+      if (this.readout) this.readout.remove()
+      if (this.infoPanel) this.infoPanel.remove()
+    },
+    // removes the globe from its container and frees everything it holds
+    // @returns {Promise} resolves once done
+    dispose() {
+      return this.engine.dispose()
+    }
+  }
+
+  /**************************************************
+   * 3. Run the app
+   * 'runApp' will do most of the boilerplate setup code for you:
+   * e.g. HTML container, window resize listener, mouse move/touch listener for shader uniforms, THREE.Clock() for animation
+   * Executing this line puts everything together and runs the app
+   * ps. if you don't use custom shaders, pass undefined to the 'uniforms'(2nd-last) param
+   * ps. if you don't use post-processing, pass undefined to the 'composer'(last) param
+   *************************************************/
+  return runApp(app, scene, renderer, camera, true, undefined, composer, containerEl)
+}
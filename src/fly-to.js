@@ -0,0 +1,96 @@
+// Animated camera flights to a lat/lon, cooperating with the (damped) OrbitControls
+
+import * as THREE from "three"
+import { latLonToVector3 } from "./geo-utils"
+
+global.THREE = THREE
+
+/**
+ * @param {number} t 0..1
+ * @returns {number} eased 0..1
+ */
+const easeInOutCubic = (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+
+/**
+ * Creates the fly-to animator, its update() has to be called every frame right after controls.update()
+ * @param {object} camera Threejs camera instance
+ * @param {object} controls OrbitControls instance
+ * @param {object} globe the mesh whose local frame defines lat/lon, normally the earth mesh
+ * @param {number} globeRadius radius of the globe, altitudes are measured from it
+ * @returns {object} the animator
+ */
+export const createFlyTo = (camera, controls, globe, globeRadius = 10) => {
+    let flight = null
+
+    const center = new THREE.Vector3()
+    const endDir = new THREE.Vector3()
+    const dir = new THREE.Vector3()
+    const rotation = new THREE.Quaternion()
+    const partial = new THREE.Quaternion()
+
+    const finish = () => {
+        const { resolve } = flight
+        flight = null
+        controls.enabled = true
+        resolve()
+    }
+
+    return {
+        /**
+         * Smoothly moves the camera to look straight down at a place
+         * @param {number} lat latitude in degrees
+         * @param {number} lon longitude in degrees
+         * @param {object} options (optional) {altitude, duration}, altitude above the surface in scene units, duration in seconds
+         * @returns {Promise} resolves when the camera arrives (or the flight got cancelled)
+         */
+        flyTo(lat, lon, { altitude = 10, duration = 2 } = {}) {
+            if (flight) finish()
+            // applies and clears whatever inertia the damping still holds, so the controls won't drag the camera off course
+            controls.enableDamping = false
+            controls.update()
+            controls.enableDamping = true
+            controls.enabled = false
+
+            return new Promise((resolve) => {
+                flight = {
+                    lat, lon, altitude, duration, resolve,
+                    elapsed: 0,
+                    startTarget: controls.target.clone(),
+                    startDir: camera.position.clone().sub(controls.target).normalize(),
+                    startDistance: camera.position.distanceTo(controls.target)
+                }
+            })
+        },
+        cancel() {
+            if (flight) finish()
+        },
+        get flying() {
+            return flight !== null
+        },
+        // @param {number} interval - time elapsed between 2 frames
+        update(interval) {
+            if (!flight) return
+            flight.elapsed += interval
+            const t = Math.min(flight.elapsed / flight.duration, 1)
+            const e = easeInOutCubic(t)
+
+            // the destination is re-evaluated every frame as the earth keeps rotating during the flight
+            globe.getWorldPosition(center)
+            latLonToVector3(flight.lat, flight.lon, 1, endDir).transformDirection(globe.matrixWorld)
+
+            // interpolate the direction on the unit sphere so the camera swings around the globe instead of through it,
+            // pulling back a bit mid-flight on long journeys to keep the globe in view
+            rotation.setFromUnitVectors(flight.startDir, endDir)
+            partial.identity().slerp(rotation, e)
+            dir.copy(flight.startDir).applyQuaternion(partial)
+            const angle = flight.startDir.angleTo(endDir)
+            const distance = THREE.MathUtils.lerp(flight.startDistance, globeRadius + flight.altitude, e) + Math.sin(Math.PI * e) * angle * globeRadius * 0.5
+
+            controls.target.lerpVectors(flight.startTarget, center, e)
+            camera.position.copy(controls.target).addScaledVector(dir, distance)
+            camera.lookAt(controls.target)
+
+            if (t >= 1) finish()
+        }
+    }
+}
@@ -0,0 +1,234 @@
+// Deterministic frame export: the app is stepped with a fixed timestep and rendered at a chosen resolution,
+// independent of the window, into a zipped PNG sequence, a WebM video or a single screenshot
+
+import { Zip, ZipPassThrough } from "fflate"
+
+export class ExportCancelledError extends Error {
+    constructor() {
+        super("The export got cancelled")
+        this.name = "ExportCancelledError"
+    }
+}
+
+/**
+ * Offers a blob as a file download
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+const download = (blob, fileName) => {
+    const link = document.createElement("a")
+    link.href = URL.createObjectURL(blob)
+    link.download = fileName
+    link.click()
+    // revoked a bit later, some browsers haven't started the download yet when click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000)
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>} the canvas as a PNG, the pixels are taken synchronously so this must be called right after rendering
+ */
+const canvasToPng = (canvas) => {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error("The canvas could not be encoded as PNG")), "image/png")
+    })
+}
+
+// size a zipped PNG sequence is downloaded in parts of, so long exports at a high resolution don't hold every frame in memory
+const ZIP_PART_BYTES = 512 * 1024 * 1024
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Progress panel with a cancel button
+ * @param {HTMLElement} container
+ * @param {function} onCancel
+ * @returns {object} {update(fraction, text), remove()}
+ */
+const createProgressPanel = (container, onCancel) => {
+    const panel = document.createElement("div")
+    panel.className = "export-progress"
+    const text = document.createElement("div")
+    const bar = document.createElement("div")
+    bar.className = "export-progress-bar"
+    const fill = document.createElement("div")
+    bar.appendChild(fill)
+    const cancel = document.createElement("button")
+    cancel.textContent = "Cancel"
+    cancel.addEventListener("click", onCancel)
+    panel.append(text, bar, cancel)
+    container.appendChild(panel)
+    return {
+        update(fraction, message) {
+            fill.style.width = `${(fraction * 100).toFixed(1)}%`
+            text.textContent = message
+        },
+        remove() {
+            panel.remove()
+        }
+    }
+}
+
+/**
+ * Creates the exporter
+ * @param {object} app the app, with the 'engine' and 'container' runApp gives it, and (optional) resize(width, height)
+ * @param {object} renderer Threejs renderer instance
+ * @param {object} camera Threejs camera instance
+ * @param {object} composer (optional) Threejs EffectComposer instance
+ * @returns {object} the exporter
+ */
+export const createFrameExporter = (app, renderer, camera, composer = null) => {
+    let busy = false
+
+    /**
+     * Switches rendering over to the export size with the animation loop stopped, and back once done
+     * @param {number} width in pixels
+     * @param {number} height in pixels
+     * @param {function} body async function doing the export
+     * @returns {Promise} whatever body resolves to
+     */
+    const withExportSize = async (width, height, body) => {
+        if (busy) throw new Error("An export is already running")
+        busy = true
+        const canvas = renderer.domElement
+        const previous = {
+            pixelRatio: renderer.getPixelRatio(),
+            width: canvas.clientWidth,
+            height: canvas.clientHeight,
+            running: app.engine.running
+        }
+        const resize = (w, h, pixelRatio) => {
+            renderer.setPixelRatio(pixelRatio)
+            // false keeps the CSS size of the canvas, so the page layout doesn't jump around
+            renderer.setSize(w, h, false)
+            if (composer) {
+                composer.setPixelRatio(pixelRatio)
+                composer.setSize(w, h)
+            }
+            camera.aspect = w / h
+            camera.updateProjectionMatrix()
+            if (typeof app.resize === "function") app.resize(w, h)
+        }
+
+        app.engine.stop()
+        resize(width, height, 1)
+        try {
+            return await body(canvas)
+        } finally {
+            resize(previous.width, previous.height, previous.pixelRatio)
+            busy = false
+            if (previous.running) app.engine.start()
+        }
+    }
+
+    return {
+        get busy() {
+            return busy
+        },
+        /**
+         * Renders the current view at a given resolution and downloads it as a PNG
+         * @param {number} width in pixels
+         * @param {number} height in pixels
+         * @returns {Promise}
+         */
+        screenshot(width, height) {
+            return withExportSize(width, height, async (canvas) => {
+                // a zero step renders the scene as it is
+                app.engine.step(0)
+                download(await canvasToPng(canvas), `earth_${width}x${height}.png`)
+            })
+        },
+        /**
+         * Renders an animation with a fixed timestep, every frame advances the app by exactly 1 / fps seconds
+         * @param {object} options
+         * @param {number} options.width in pixels
+         * @param {number} options.height in pixels
+         * @param {number} options.fps frames per second
+         * @param {number} options.duration in seconds
+         * @param {string} options.format "png" for a zipped PNG sequence, downloaded in parts of at most ZIP_PART_BYTES, "webm" for a video
+         * @returns {Promise} resolves once the file is downloaded, rejects with ExportCancelledError when cancelled
+         */
+        exportFrames({ width, height, fps = 30, duration = 10, format = "png" }) {
+            if (busy) return Promise.reject(new Error("An export is already running"))
+            const frameCount = Math.max(1, Math.round(duration * fps))
+            let cancelled = false
+            const panel = createProgressPanel(app.container, () => { cancelled = true })
+
+            return withExportSize(width, height, async (canvas) => {
+                const checkCancelled = () => {
+                    if (cancelled) throw new ExportCancelledError()
+                }
+                if (format === "webm") {
+                    // MediaRecorder timestamps frames with the wall clock, so frames are fed at their real pace,
+                    // the stream only takes a frame when asked to (frame rate 0)
+                    const stream = canvas.captureStream(0)
+                    const track = stream.getVideoTracks()[0]
+                    const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((type) => MediaRecorder.isTypeSupported(type))
+                    if (!mimeType) throw new Error("This browser can't record WebM videos")
+                    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: width * height * fps * 0.2 })
+                    const chunks = []
+                    recorder.ondataavailable = (e) => chunks.push(e.data)
+                    const stopped = new Promise((resolve) => { recorder.onstop = resolve })
+                    recorder.start()
+                    try {
+                        const start = performance.now()
+                        for (let i = 0; i < frameCount; i++) {
+                            checkCancelled()
+                            app.engine.step(i === 0 ? 0 : 1 / fps)
+                            track.requestFrame()
+                            panel.update(i / frameCount, `Recording frame ${i + 1} / ${frameCount}`)
+                            await wait(Math.max(0, start + (i + 1) * 1000 / fps - performance.now()))
+                        }
+                    } finally {
+                        recorder.stop()
+                        await stopped
+                        track.stop()
+                        panel.remove()
+                    }
+                    download(new Blob(chunks, { type: "video/webm" }), `earth_${width}x${height}_${fps}fps.webm`)
+                    return
+                }
+
+                // PNGs are compressed already, they're stored in the zip as they are
+                const baseName = `earth_${width}x${height}_${fps}fps`
+                let zipChunks = []
+                let zipBytes = 0
+                let part = 1
+                const createZip = () => new Zip((error, chunk) => {
+                    if (error) throw error
+                    zipChunks.push(chunk)
+                    zipBytes += chunk.length
+                })
+                // downloads what's zipped so far, as a part of its own when more are to come or came before
+                const flush = (last) => {
+                    zip.end()
+                    const fileName = last && part === 1 ? `${baseName}.zip` : `${baseName}_part${part}.zip`
+                    download(new Blob(zipChunks, { type: "application/zip" }), fileName)
+                    zipChunks = []
+                    zipBytes = 0
+                    part++
+                }
+                let zip = createZip()
+                try {
+                    for (let i = 0; i < frameCount; i++) {
+                        checkCancelled()
+                        app.engine.step(i === 0 ? 0 : 1 / fps)
+                        const png = new Uint8Array(await (await canvasToPng(canvas)).arrayBuffer())
+                        if (zipBytes > 0 && zipBytes + png.length > ZIP_PART_BYTES) {
+                            flush(false)
+                            zip = createZip()
+                        }
+                        // frames keep their number across the parts, so they can be unzipped into a single folder
+                        const file = new ZipPassThrough(`frame_${String(i).padStart(5, "0")}.png`)
+                        zip.add(file)
+                        file.push(png, true)
+                        panel.update((i + 1) / frameCount, `Rendered frame ${i + 1} / ${frameCount}` + (part > 1 ? `, part ${part}` : ""))
+                    }
+                } finally {
+                    panel.remove()
+                }
+                flush(true)
+            })
+        }
+    }
+}
@@ -0,0 +1,38 @@
+// Helpers for going back and forth between geographic coordinates and positions on our globe
+
+import * as THREE from "three"
+
+global.THREE = THREE
+
+/**
+ * Converts geographic coordinates into a position on a THREE.SphereGeometry,
+ * matching the way SphereGeometry lays out its uv, so the point lands on the correct spot of an equirectangular texture
+ * (u = 0 at longitude -180, v = 1 at the north pole)
+ * @param {number} lat latitude in degrees, north positive
+ * @param {number} lon longitude in degrees, east positive
+ * @param {number} radius radius of the sphere
+ * @param {THREE.Vector3} target (optional) vector to write the result into
+ * @returns {THREE.Vector3} position local to the sphere mesh
+ */
+export const latLonToVector3 = (lat, lon, radius = 1, target = new THREE.Vector3()) => {
+    const phi = THREE.MathUtils.degToRad(lat)
+    const lambda = THREE.MathUtils.degToRad(lon)
+    return target.set(
+        radius * Math.cos(phi) * Math.cos(lambda),
+        radius * Math.sin(phi),
+        -radius * Math.cos(phi) * Math.sin(lambda)
+    )
+}
+
+/**
+ * The inverse of latLonToVector3
+ * @param {THREE.Vector3} vec position local to the sphere mesh, doesn't need to be normalized
+ * @returns {object} {lat, lon} in degrees, lon in the range of -180..180
+ */
+export const vector3ToLatLon = (vec) => {
+    const r = vec.length()
+    return {
+        lat: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(vec.y / r, -1, 1))),
+        lon: THREE.MathUtils.radToDeg(Math.atan2(-vec.z, vec.x))
+    }
+}
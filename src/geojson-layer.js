@@ -0,0 +1,320 @@
+// Vector overlays from GeoJSON: lines and polygon outlines drawn on the sphere, polygon interiors rasterized into a texture
+
+import * as THREE from "three"
+import { latLonToVector3, vector3ToLatLon } from "./geo-utils"
+
+global.THREE = THREE
+
+// the overlay sits between the surface (radius 10) and the cloud shell (radius 10.05)
+const FILL_RADIUS = 10.01
+const LINE_RADIUS = 10.02
+// lines are subdivided along great circles so they hug the sphere instead of cutting through it
+const MAX_SEGMENT_DEG = 1
+// size of the equirectangular canvas polygon interiors are rasterized into
+const FILL_WIDTH = 4096
+const FILL_HEIGHT = 2048
+
+/**
+ * Unwraps the longitudes of a ring so consecutive points never jump by more than 180 degrees,
+ * that way rings crossing the antimeridian become continuous (possibly going past ±180).
+ * Rings enclosing a pole end up 360 degrees away from where they started, those get closed along the pole.
+ * @param {number[][]} ring array of [lon, lat] positions
+ * @returns {number[][]} unwrapped ring
+ */
+export const unwrapRing = (ring) => {
+    const out = []
+    let offset = 0
+    for (let i = 0; i < ring.length; i++) {
+        const [lon, lat] = ring[i]
+        if (i > 0) {
+            const delta = lon - ring[i - 1][0]
+            if (delta > 180) offset -= 360
+            else if (delta < -180) offset += 360
+        }
+        out.push([lon + offset, lat])
+    }
+    const first = out[0]
+    const last = out[out.length - 1]
+    if (out.length > 2 && Math.abs(last[0] - first[0]) > 180) {
+        // the ring wraps around a pole: walk over to the pole on its side, across, and back down to the start
+        const meanLat = out.reduce((sum, p) => sum + p[1], 0) / out.length
+        const poleLat = meanLat >= 0 ? 90 : -90
+        out.push([last[0], poleLat], [first[0], poleLat])
+    }
+    return out
+}
+
+/**
+ * Even-odd point in polygon test in the lon/lat plane
+ * @param {number} lon
+ * @param {number} lat
+ * @param {number[][][]} rings unwrapped rings, the first being the outer ring and the rest holes
+ * @returns {bool}
+ */
+export const pointInRings = (lon, lat, rings) => {
+    let inside = false
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i]
+            const [xj, yj] = ring[j]
+            if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                inside = !inside
+            }
+        }
+    }
+    return inside
+}
+
+/**
+ * Breaks a GeoJSON geometry down into the polygons (as arrays of rings) and lines (as arrays of positions) it consists of
+ * @param {object} geometry GeoJSON geometry
+ * @returns {object} {polygons, lines}
+ */
+export const flattenGeometry = (geometry, polygons = [], lines = []) => {
+    if (!geometry) return { polygons, lines }
+    switch (geometry.type) {
+        case "Polygon":
+            polygons.push(geometry.coordinates)
+            break
+        case "MultiPolygon":
+            polygons.push(...geometry.coordinates)
+            break
+        case "LineString":
+            lines.push(geometry.coordinates)
+            break
+        case "MultiLineString":
+            lines.push(...geometry.coordinates)
+            break
+        case "GeometryCollection":
+            geometry.geometries.forEach((g) => flattenGeometry(g, polygons, lines))
+            break
+    }
+    return { polygons, lines }
+}
+
+/**
+ * Creates the GeoJSON layer, datasets loaded into it are children of the globe so they rotate along with it
+ * @param {object} globe the globe mesh, or a group turning with it, normally the overlays of the earth
+ * @param {THREE.EventDispatcher} picker created by createPicker, the layer registers itself as a pick target
+ * @param {object} options (optional)
+ * @param {function} options.onChange called whenever datasets got added or removed, e.g. to request a redraw
+ * @returns {THREE.EventDispatcher} the layer, dispatches 'hover' and 'click' events with {feature, properties, dataset, lat, lon}
+ */
+export const createGeoJsonLayer = (globe, picker, { onChange = () => { } } = {}) => {
+    const layer = new THREE.EventDispatcher()
+    const datasets = []
+    const sphere = new THREE.Sphere(new THREE.Vector3(), FILL_RADIUS)
+    const hitPoint = new THREE.Vector3()
+    const worldScale = new THREE.Vector3()
+    let hovered = null
+
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+
+    // pushes the line from lon/lat position p to q, subdivided along the great circle, into positions as line segment pairs
+    const pushSegment = (p, q, positions) => {
+        latLonToVector3(p[1], p[0], 1, a)
+        latLonToVector3(q[1], q[0], 1, b)
+        const steps = Math.max(1, Math.ceil(THREE.MathUtils.radToDeg(a.angleTo(b)) / MAX_SEGMENT_DEG))
+        let prev = a.clone().multiplyScalar(LINE_RADIUS)
+        for (let i = 1; i <= steps; i++) {
+            const next = a.clone().lerp(b, i / steps).normalize().multiplyScalar(LINE_RADIUS)
+            positions.push(prev.x, prev.y, prev.z, next.x, next.y, next.z)
+            prev = next
+        }
+    }
+
+    /**
+     * Adds a GeoJSON FeatureCollection, Feature or bare geometry to the globe
+     * @param {object} geojson parsed GeoJSON
+     * @param {string} name name of the dataset, used in the GUI and in events
+     * @param {object} style (optional) {lineColor, fillColor, fillOpacity}, per feature 'stroke' and 'fill' properties take precedence
+     * @returns {object} the dataset, with toggleable lines and fill meshes
+     */
+    layer.add = (geojson, name, { lineColor = "#ffffff", fillColor = "#ffaa00", fillOpacity = 0.35 } = {}) => {
+        const features = geojson.type === "FeatureCollection" ? geojson.features
+            : geojson.type === "Feature" ? [geojson]
+            : [{ type: "Feature", properties: {}, geometry: geojson }]
+
+        const canvas = document.createElement("canvas")
+        canvas.width = FILL_WIDTH
+        canvas.height = FILL_HEIGHT
+        const ctx = canvas.getContext("2d")
+        const toX = (lon) => (lon + 180) / 360 * FILL_WIDTH
+        const toY = (lat) => (90 - lat) / 180 * FILL_HEIGHT
+
+        const positions = []
+        const colors = []
+        // featureIndex of each line segment, for picking
+        const segmentFeature = []
+        const color = new THREE.Color()
+        const entries = []
+
+        features.forEach((feature, index) => {
+            const properties = feature.properties || {}
+            const { polygons, lines } = flattenGeometry(feature.geometry)
+            const rings = polygons.map((polygon) => polygon.map(unwrapRing))
+
+            // outlines
+            color.set(properties.stroke || lineColor)
+            for (const line of lines.concat(...polygons)) {
+                const before = positions.length
+                for (let i = 1; i < line.length; i++) pushSegment(line[i - 1], line[i], positions)
+                for (let i = before; i < positions.length; i += 6) {
+                    colors.push(color.r, color.g, color.b, color.r, color.g, color.b)
+                    segmentFeature.push(index)
+                }
+            }
+
+            // interiors, drawn three times shifted by a full turn so parts unwrapped past ±180 wrap onto the other edge
+            if (rings.length) {
+                ctx.fillStyle = properties.fill || fillColor
+                for (const shift of [-360, 0, 360]) {
+                    ctx.beginPath()
+                    for (const polygon of rings) {
+                        for (const ring of polygon) {
+                            ring.forEach(([lon, lat], i) => {
+                                if (i === 0) ctx.moveTo(toX(lon + shift), toY(lat))
+                                else ctx.lineTo(toX(lon + shift), toY(lat))
+                            })
+                            ctx.closePath()
+                        }
+                    }
+                    ctx.fill("evenodd")
+                }
+            }
+
+            // bounding box of the unwrapped rings to cheaply skip most polygons when picking
+            let bbox = null
+            for (const [lon, lat] of rings.flat(2)) {
+                if (!bbox) bbox = [lon, lat, lon, lat]
+                bbox = [Math.min(bbox[0], lon), Math.min(bbox[1], lat), Math.max(bbox[2], lon), Math.max(bbox[3], lat)]
+            }
+            entries.push({ feature, properties, rings, bbox })
+        })
+
+        const lineGeo = new THREE.BufferGeometry()
+        lineGeo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3))
+        lineGeo.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3))
+        const lineMesh = new THREE.LineSegments(lineGeo, new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.8 }))
+
+        const fillTexture = new THREE.CanvasTexture(canvas)
+        fillTexture.colorSpace = THREE.SRGBColorSpace
+        const fillMesh = new THREE.Mesh(
+            new THREE.SphereGeometry(FILL_RADIUS, 64, 64),
+            new THREE.MeshBasicMaterial({ map: fillTexture, transparent: true, opacity: fillOpacity, depthWrite: false })
+        )
+        // drawn before the clouds, otherwise the depth written by the cloud shell would hide the overlay entirely
+        lineMesh.renderOrder = -1
+        fillMesh.renderOrder = -1
+        globe.add(fillMesh)
+        globe.add(lineMesh)
+
+        const dataset = { name, entries, segmentFeature, lineMesh, fillMesh }
+        datasets.push(dataset)
+        onChange()
+        return dataset
+    }
+
+    /**
+     * Loads a GeoJSON file and adds it to the globe
+     * @param {string|File} source url or a File picked by the user
+     * @param {object} style (optional) see add()
+     * @returns {Promise<object>} the dataset
+     */
+    layer.load = async (source, style) => {
+        const isFile = source instanceof File
+        const text = isFile ? await source.text() : await (await fetch(source)).text()
+        const name = isFile ? source.name : source.split("/").pop()
+        return layer.add(JSON.parse(text), name, style)
+    }
+
+    layer.remove = (dataset) => {
+        const index = datasets.indexOf(dataset)
+        if (index === -1) return
+        datasets.splice(index, 1)
+        for (const mesh of [dataset.lineMesh, dataset.fillMesh]) {
+            globe.remove(mesh)
+            mesh.geometry.dispose()
+            if (mesh.material.map) mesh.material.map.dispose()
+            mesh.material.dispose()
+        }
+        if (hovered && hovered.dataset === dataset) hovered = null
+        onChange()
+    }
+
+    layer.getDatasets = () => datasets.slice()
+
+    /**
+     * Finds the polygon feature containing the given point
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {object|null} {feature, properties, dataset}
+     */
+    layer.featureAt = (lat, lon) => {
+        // search the datasets added last first, as they're the ones drawn on top
+        for (let d = datasets.length - 1; d >= 0; d--) {
+            const dataset = datasets[d]
+            if (!dataset.fillMesh.visible) continue
+            for (const entry of dataset.entries) {
+                if (!entry.bbox) continue
+                // unwrapped rings may extend past ±180 so the point is tested at each of its equivalent longitudes
+                for (const x of [lon - 360, lon, lon + 360]) {
+                    if (x < entry.bbox[0] || x > entry.bbox[2] || lat < entry.bbox[1] || lat > entry.bbox[3]) continue
+                    if (entry.rings.some((rings) => pointInRings(x, lat, rings))) {
+                        return { feature: entry.feature, properties: entry.properties, dataset }
+                    }
+                }
+            }
+        }
+        return null
+    }
+
+    // pick target, see createPicker
+    const target = {
+        raycast(raycaster) {
+            raycaster.params.Line.threshold = 0.05
+            const lineMeshes = datasets.filter((d) => d.lineMesh.visible).map((d) => d.lineMesh)
+            const lineHit = raycaster.intersectObjects(lineMeshes, false)[0]
+            if (lineHit) {
+                const dataset = datasets.find((d) => d.lineMesh === lineHit.object)
+                const entry = dataset.entries[dataset.segmentFeature[Math.floor(lineHit.index / 2)]]
+                return { distance: lineHit.distance, feature: entry.feature, properties: entry.properties, dataset }
+            }
+
+            globe.getWorldPosition(sphere.center)
+            // the globe may be scaled up, e.g. lifted clear of a relief
+            sphere.radius = FILL_RADIUS * globe.getWorldScale(worldScale).x
+            if (!raycaster.ray.intersectSphere(sphere, hitPoint)) return null
+            const distance = raycaster.ray.origin.distanceTo(hitPoint)
+            const { lat, lon } = vector3ToLatLon(globe.worldToLocal(hitPoint))
+            const found = layer.featureAt(lat, lon)
+            return found ? { distance, ...found } : null
+        }
+    }
+    picker.addTarget(target)
+
+    const onHover = (e) => {
+        const hit = e.hit && e.hit.feature ? e.hit : null
+        if ((hit && hit.feature) !== (hovered && hovered.feature)) {
+            hovered = hit
+            layer.dispatchEvent({ type: "hover", feature: hit && hit.feature, properties: hit && hit.properties, dataset: hit && hit.dataset, lat: e.lat, lon: e.lon })
+        }
+    }
+    const onClick = (e) => {
+        if (e.hit && e.hit.feature) {
+            layer.dispatchEvent({ type: "click", feature: e.hit.feature, properties: e.hit.properties, dataset: e.hit.dataset, lat: e.lat, lon: e.lon })
+        }
+    }
+    picker.addEventListener("hover", onHover)
+    picker.addEventListener("click", onClick)
+
+    layer.dispose = () => {
+        while (datasets.length) layer.remove(datasets[0])
+        picker.removeTarget(target)
+        picker.removeEventListener("hover", onHover)
+        picker.removeEventListener("click", onClick)
+    }
+
+    return layer
+}
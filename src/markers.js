@@ -0,0 +1,146 @@
+// Points of interest pinned to the globe by lat/lon, with HTML labels and hover/click events
+
+import * as THREE from "three"
+import { latLonToVector3 } from "./geo-utils"
+
+global.THREE = THREE
+
+// markers float slightly above the cloud shell (radius 10.05) so clouds don't hide them
+const MARKER_ALTITUDE = 10.08
+
+/**
+ * Creates the marker layer, markers are children of the globe so they rotate along with it
+ * @param {object} globe the globe mesh to attach the markers to, or a group turning with it, normally the overlays of the earth
+ * @param {object} camera Threejs camera instance
+ * @param {HTMLElement} container parent element of the canvas, labels are placed in an overlay inside it
+ * @param {THREE.EventDispatcher} picker created by createPicker, the layer registers itself as a pick target
+ * @param {object} options (optional)
+ * @param {function} options.onChange called whenever markers got added or removed, e.g. to request a redraw
+ * @returns {THREE.EventDispatcher} the layer, dispatches 'hover' and 'click' events with {marker, data, lat, lon}
+ */
+export const createMarkerLayer = (globe, camera, container, picker, { onChange = () => { } } = {}) => {
+    const layer = new THREE.EventDispatcher()
+    const markers = []
+    const geometry = new THREE.SphereGeometry(0.12, 16, 8)
+    const labelsEl = document.createElement("div")
+    labelsEl.className = "marker-labels"
+    container.appendChild(labelsEl)
+
+    const worldPos = new THREE.Vector3()
+    const center = new THREE.Vector3()
+    const normal = new THREE.Vector3()
+    const toCamera = new THREE.Vector3()
+    let hovered = null
+    let nextId = 1
+
+    /**
+     * @param {object} options
+     * @param {number} options.lat latitude in degrees
+     * @param {number} options.lon longitude in degrees
+     * @param {string} options.label (optional) text shown next to the marker
+     * @param {string|number} options.color (optional) any value accepted by THREE.Color
+     * @param {number} options.size (optional) scale factor of the marker, def = 1
+     * @param {*} options.data (optional) anything, handed back in the hover/click events
+     * @returns {object} the marker, pass it to removeMarker() to take it off the globe
+     */
+    layer.addMarker = ({ lat, lon, label = "", color = "#ff5533", size = 1, data = null }) => {
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color, transparent: true }))
+        latLonToVector3(lat, lon, MARKER_ALTITUDE, mesh.position)
+        mesh.scale.setScalar(size)
+        globe.add(mesh)
+
+        const labelEl = document.createElement("div")
+        labelEl.className = "marker-label"
+        labelEl.textContent = label
+        labelEl.style.display = label ? "" : "none"
+        labelsEl.appendChild(labelEl)
+
+        const marker = { id: nextId++, lat, lon, label, data, mesh, labelEl }
+        mesh.userData.marker = marker
+        markers.push(marker)
+        onChange()
+        return marker
+    }
+
+    layer.removeMarker = (marker) => {
+        const index = markers.indexOf(marker)
+        if (index === -1) return
+        markers.splice(index, 1)
+        globe.remove(marker.mesh)
+        marker.mesh.material.dispose()
+        marker.labelEl.remove()
+        if (hovered === marker) hovered = null
+        onChange()
+    }
+
+    layer.clear = () => {
+        while (markers.length) layer.removeMarker(markers[0])
+    }
+
+    layer.getMarkers = () => markers.slice()
+
+    // pick target, see createPicker
+    const target = {
+        raycast(raycaster) {
+            const meshes = markers.filter((m) => m.mesh.visible).map((m) => m.mesh)
+            const intersect = raycaster.intersectObjects(meshes, false)[0]
+            return intersect ? { distance: intersect.distance, marker: intersect.object.userData.marker } : null
+        }
+    }
+    picker.addTarget(target)
+
+    const onHover = (e) => {
+        const marker = e.hit && e.hit.marker ? e.hit.marker : null
+        if (marker !== hovered) {
+            hovered = marker
+            layer.dispatchEvent({ type: "hover", marker, data: marker ? marker.data : null, lat: e.lat, lon: e.lon })
+        }
+    }
+    const onClick = (e) => {
+        if (e.hit && e.hit.marker) {
+            layer.dispatchEvent({ type: "click", marker: e.hit.marker, data: e.hit.marker.data, lat: e.lat, lon: e.lon })
+        }
+    }
+    picker.addEventListener("hover", onHover)
+    picker.addEventListener("click", onClick)
+
+    /**
+     * Fades markers going over the horizon and moves their labels, call every frame after the camera has moved
+     */
+    layer.update = () => {
+        const width = container.clientWidth
+        const height = container.clientHeight
+        globe.getWorldPosition(center)
+
+        for (const marker of markers) {
+            marker.mesh.getWorldPosition(worldPos)
+            normal.subVectors(worldPos, center).normalize()
+            toCamera.subVectors(camera.position, worldPos).normalize()
+            // facing is 1 when the marker looks straight at the camera and goes negative once it is behind the horizon
+            const facing = normal.dot(toCamera)
+            const opacity = THREE.MathUtils.smoothstep(facing, -0.05, 0.2)
+            marker.mesh.material.opacity = opacity
+            marker.mesh.visible = opacity > 0
+
+            if (marker.label) {
+                worldPos.project(camera)
+                const x = (worldPos.x * 0.5 + 0.5) * width
+                const y = (-worldPos.y * 0.5 + 0.5) * height
+                marker.labelEl.style.opacity = opacity
+                marker.labelEl.style.display = opacity > 0 ? "" : "none"
+                marker.labelEl.style.transform = `translate(${x}px, ${y}px)`
+            }
+        }
+    }
+
+    layer.dispose = () => {
+        layer.clear()
+        picker.removeTarget(target)
+        picker.removeEventListener("hover", onHover)
+        picker.removeEventListener("click", onClick)
+        geometry.dispose()
+        labelsEl.remove()
+    }
+
+    return layer
+}
@@ -0,0 +1,154 @@
+// The moon, placed by the lunar ephemeris, casting its shadow on the earth and receiving the earth's shadow
+
+import * as THREE from "three"
+import { getLunarPosition, getSolarPosition } from "./astro-utils"
+import { latLonToVector3 } from "./geo-utils"
+import eclipseShader from "./shaders/eclipse.glsl"
+
+global.THREE = THREE
+
+// the earth's radius is 10 scene units
+const KM_TO_UNITS = 10 / 6371
+const MOON_RADIUS = 1737.4 * KM_TO_UNITS
+const SUN_RADIUS = 696000 * KM_TO_UNITS
+const AU_TO_UNITS = 149597870.7 * KM_TO_UNITS
+
+/**
+ * Patches the earth material so the moon's umbra and penumbra dim the sunlight falling on the surface
+ * @param {object} shader as handed to onBeforeCompile
+ * @param {object} eclipseUniforms the moon's eclipseUniforms
+ * @param {string} worldPosition name of a varying holding the world position of the fragment
+ */
+export const addMoonShadow = (shader, eclipseUniforms, worldPosition) => {
+    Object.assign(shader.uniforms, eclipseUniforms)
+    shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+        #include <common>
+        uniform vec3 eclipseSunPosition;
+        uniform float eclipseSunRadius;
+        uniform vec3 eclipseMoonPosition;
+        uniform float eclipseMoonRadius;
+        ${eclipseShader}
+    `)
+    // only the direct sunlight is eclipsed, the night lights (emissive) stay as they are
+    shader.fragmentShader = shader.fragmentShader.replace('#include <lights_fragment_end>', `
+        #include <lights_fragment_end>
+        float moonShadow = sunVisibility( ${worldPosition}, eclipseSunPosition, eclipseSunRadius, eclipseMoonPosition, eclipseMoonRadius );
+        reflectedLight.directDiffuse *= moonShadow;
+        reflectedLight.directSpecular *= moonShadow;
+    `)
+}
+
+/**
+ * Creates the moon. The geometry of the eclipses is always computed at true scale,
+ * whatever the distance the moon is drawn at (see setDistanceScale)
+ * @param {object} frame object whose local frame is equatorial (+Y to the celestial north pole, +X to the vernal equinox), the moon is added to it
+ * @param {object} globe the earth mesh, which casts its shadow on the moon
+ * @param {THREE.Texture} texture color map of the moon, equirectangular with longitude 0 (the center of the near side) in the middle
+ * @param {number} distanceScale fraction of the true distance the moon is drawn at
+ * @returns {object} the moon
+ */
+export const createMoon = (frame, globe, texture, distanceScale = 0.1) => {
+    texture.colorSpace = THREE.SRGBColorSpace
+
+    // world positions at true scale, shared with the earth material through addMoonShadow
+    const eclipseUniforms = {
+        eclipseSunPosition: { value: new THREE.Vector3() },
+        eclipseSunRadius: { value: SUN_RADIUS },
+        eclipseMoonPosition: { value: new THREE.Vector3() },
+        eclipseMoonRadius: { value: MOON_RADIUS }
+    }
+    const moonUniforms = {
+        earthPosition: { value: new THREE.Vector3() },
+        earthRadius: { value: 10 },
+        // from where the moon is drawn to where it truly is
+        trueOffset: { value: new THREE.Vector3() }
+    }
+
+    const material = new THREE.MeshStandardMaterial({
+        map: texture,
+        roughness: 1.0,
+        metalness: 0.0
+    })
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, eclipseUniforms, moonUniforms)
+        shader.vertexShader = shader.vertexShader.replace('#include <common>', `
+            #include <common>
+            varying vec3 vMoonWorldPosition;
+        `)
+        shader.vertexShader = shader.vertexShader.replace('#include <project_vertex>', `
+            #include <project_vertex>
+            vMoonWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;
+        `)
+        shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+            #include <common>
+            varying vec3 vMoonWorldPosition;
+            uniform vec3 eclipseSunPosition;
+            uniform float eclipseSunRadius;
+            uniform vec3 earthPosition;
+            uniform float earthRadius;
+            uniform vec3 trueOffset;
+            ${eclipseShader}
+        `)
+        shader.fragmentShader = shader.fragmentShader.replace('#include <lights_fragment_end>', `
+            #include <lights_fragment_end>
+            // during lunar eclipses, the only sunlight reaching the umbra is refracted by the earth's atmosphere,
+            // which lets mostly red light through
+            float earthShadow = sunVisibility( vMoonWorldPosition + trueOffset, eclipseSunPosition, eclipseSunRadius, earthPosition, earthRadius );
+            vec3 eclipseLight = earthShadow + ( 1.0 - earthShadow ) * vec3( 0.12, 0.03, 0.01 );
+            reflectedLight.directDiffuse *= eclipseLight;
+            reflectedLight.directSpecular *= eclipseLight;
+        `)
+    }
+
+    const mesh = new THREE.Mesh(new THREE.SphereGeometry(MOON_RADIUS, 64, 32), material)
+    frame.add(mesh)
+
+    const truePosition = new THREE.Vector3()
+    const drawnPosition = new THREE.Vector3()
+    const sunDirection = new THREE.Vector3()
+
+    return {
+        mesh,
+        eclipseUniforms,
+        /**
+         * @param {number} scale fraction of the true distance the moon is drawn at, 1 for true scale
+         */
+        setDistanceScale(scale) {
+            distanceScale = scale
+        },
+        /**
+         * Places the moon and the sun for the given time
+         * @param {Date} date simulation time
+         */
+        update(date) {
+            const moon = getLunarPosition(date)
+            const sun = getSolarPosition(date)
+            frame.updateMatrixWorld()
+
+            // right ascension is the longitude of the equatorial frame
+            latLonToVector3(moon.declination, moon.rightAscension, moon.distance * KM_TO_UNITS, truePosition)
+            mesh.position.copy(truePosition).multiplyScalar(distanceScale)
+            frame.localToWorld(truePosition)
+            eclipseUniforms.eclipseMoonPosition.value.copy(truePosition)
+
+            latLonToVector3(sun.declination, sun.rightAscension, 1, sunDirection).transformDirection(frame.matrixWorld)
+            globe.getWorldPosition(moonUniforms.earthPosition.value)
+            eclipseUniforms.eclipseSunPosition.value.copy(moonUniforms.earthPosition.value).addScaledVector(sunDirection, sun.distance * AU_TO_UNITS)
+
+            mesh.updateMatrixWorld()
+            moonUniforms.trueOffset.value.copy(truePosition).sub(mesh.getWorldPosition(drawnPosition))
+            // the moon is tidally locked, its near side (longitude 0, +X of the sphere) faces the earth
+            mesh.lookAt(moonUniforms.earthPosition.value)
+            mesh.rotateY(-Math.PI / 2)
+        },
+        setVisible(visible) {
+            mesh.visible = visible
+        },
+        dispose() {
+            frame.remove(mesh)
+            mesh.geometry.dispose()
+            material.dispose()
+            texture.dispose()
+        }
+    }
+}
@@ -0,0 +1,142 @@
+// Turns pointer events on the canvas into raycast picks against the globe and whatever layers register themselves
+
+import * as THREE from "three"
+import { vector3ToLatLon } from "./geo-utils"
+
+global.THREE = THREE
+
+// pointer travel in pixels between pointerdown and pointerup beyond which we treat it as a drag (i.e. OrbitControls) instead of a click
+const CLICK_TOLERANCE = 4
+// steps a ray is marched in through the shell of the relief, see intersectRelief
+const RELIEF_STEPS = 64
+
+/**
+ * Creates a picker that dispatches 'hover' and 'click' events, each event carries
+ * - hit: the nearest hit returned by the registered targets, or null
+ * - lat, lon: geographic coordinates under the cursor, or null if the cursor is off the globe
+ * - point: world position under the cursor on the globe, or null
+ * @param {object} camera Threejs camera instance
+ * @param {HTMLElement} domElement the element to listen to, normally renderer.domElement
+ * @param {object} globe the mesh whose local frame defines lat/lon, normally the earth mesh
+ * @param {object} relief (optional) {maxHeight, heightAt} kept up to date by the caller when the surface is displaced (see relief.js):
+ * maxHeight in scene units above the radius of the globe's geometry, 0 while the surface is flat, and heightAt(lat, lon) the height there
+ * @returns {THREE.EventDispatcher} the picker
+ */
+export const createPicker = (camera, domElement, globe, relief = { maxHeight: 0, heightAt: () => 0 }) => {
+    const picker = new THREE.EventDispatcher()
+    const raycaster = new THREE.Raycaster()
+    const pointer = new THREE.Vector2()
+    const localPoint = new THREE.Vector3()
+    const localRay = new THREE.Ray()
+    const inverseMatrix = new THREE.Matrix4()
+    // a target is an object with a raycast(raycaster) function returning null or a hit object which has at least a 'distance'
+    const targets = []
+    let downX = 0
+    let downY = 0
+
+    picker.addTarget = (target) => {
+        targets.push(target)
+    }
+
+    picker.removeTarget = (target) => {
+        const index = targets.indexOf(target)
+        if (index !== -1) targets.splice(index, 1)
+    }
+
+    // how far above the displaced surface the point of the local ray at distance t is, negative below it
+    const heightAbove = (t) => {
+        localRay.at(t, localPoint)
+        const { lat, lon } = vector3ToLatLon(localPoint)
+        return localPoint.length() - globe.geometry.parameters.radius - relief.heightAt(lat, lon)
+    }
+
+    /**
+     * The raycast of the globe mesh only sees its undisplaced geometry: the ray is marched through the shell the relief
+     * can rise into instead, from where it enters to where it leaves, until it gets below the surface
+     * @param {THREE.Ray} ray in world space
+     * @returns {object|null} {distance, point} as an intersection of raycaster.intersectObject
+     */
+    const intersectRelief = (ray) => {
+        // the globe isn't scaled, distances are the same in its frame
+        localRay.copy(ray).applyMatrix4(inverseMatrix.copy(globe.matrixWorld).invert())
+        const outer = globe.geometry.parameters.radius + relief.maxHeight
+        const b = localRay.origin.dot(localRay.direction)
+        const discriminant = b * b - (localRay.origin.lengthSq() - outer * outer)
+        if (discriminant < 0) return null
+        const far = -b + Math.sqrt(discriminant)
+        if (far < 0) return null
+        const near = Math.max(-b - Math.sqrt(discriminant), 0)
+        if (heightAbove(near) < 0) return null
+        const step = (far - near) / RELIEF_STEPS
+        for (let i = 1; i <= RELIEF_STEPS; i++) {
+            if (heightAbove(near + i * step) >= 0) continue
+            // bisects the step the ray went under the surface in
+            let before = near + (i - 1) * step
+            let after = near + i * step
+            for (let j = 0; j < 10; j++) {
+                const middle = (before + after) / 2
+                if (heightAbove(middle) >= 0) before = middle
+                else after = middle
+            }
+            return { distance: after, point: localRay.at(after, new THREE.Vector3()).applyMatrix4(globe.matrixWorld) }
+        }
+        return null
+    }
+
+    /**
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {object} {hit, lat, lon, point}
+     */
+    picker.pick = (clientX, clientY) => {
+        const rect = domElement.getBoundingClientRect()
+        pointer.x = (clientX - rect.left) / rect.width * 2 - 1
+        pointer.y = -(clientY - rect.top) / rect.height * 2 + 1
+        raycaster.setFromCamera(pointer, camera)
+
+        const result = { hit: null, lat: null, lon: null, point: null }
+        let maxDistance = Infinity
+        const globeHit = relief.maxHeight > 0 ? intersectRelief(raycaster.ray) : raycaster.intersectObject(globe, false)[0]
+        if (globeHit) {
+            const { lat, lon } = vector3ToLatLon(globe.worldToLocal(localPoint.copy(globeHit.point)))
+            Object.assign(result, { lat, lon, point: globeHit.point })
+            // targets on the far side of the globe are hidden by it, those hovering above the surface are not
+            maxDistance = globeHit.distance + 0.5
+        }
+
+        for (const target of targets) {
+            const hit = target.raycast(raycaster)
+            if (hit && hit.distance < maxDistance && (result.hit === null || hit.distance < result.hit.distance)) {
+                result.hit = hit
+            }
+        }
+        return result
+    }
+
+    const onPointerMove = (e) => {
+        const result = picker.pick(e.clientX, e.clientY)
+        // anything a target returns is considered interactive
+        domElement.style.cursor = result.hit ? "pointer" : ""
+        picker.dispatchEvent({ type: "hover", ...result })
+    }
+    const onPointerDown = (e) => {
+        downX = e.clientX
+        downY = e.clientY
+    }
+    const onPointerUp = (e) => {
+        if (Math.hypot(e.clientX - downX, e.clientY - downY) > CLICK_TOLERANCE) return
+        picker.dispatchEvent({ type: "click", ...picker.pick(e.clientX, e.clientY) })
+    }
+    domElement.addEventListener("pointermove", onPointerMove)
+    domElement.addEventListener("pointerdown", onPointerDown)
+    domElement.addEventListener("pointerup", onPointerUp)
+
+    picker.dispose = () => {
+        domElement.removeEventListener("pointermove", onPointerMove)
+        domElement.removeEventListener("pointerdown", onPointerDown)
+        domElement.removeEventListener("pointerup", onPointerUp)
+        targets.length = 0
+    }
+
+    return picker
+}
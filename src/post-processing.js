@@ -0,0 +1,269 @@
+// Post-processing stack: selective bloom, the sun disk and its lens flare, tone mapping and an optional FXAA/SMAA pass
+
+import * as THREE from "three"
+import { Pass, FullScreenQuad } from "three/examples/jsm/postprocessing/Pass"
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass"
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass"
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass"
+import { SMAAPass } from "three/examples/jsm/postprocessing/SMAAPass"
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader"
+import { CopyShader } from "three/examples/jsm/shaders/CopyShader"
+import lensFlareShader from "./shaders/lens-flare.glsl"
+
+global.THREE = THREE
+
+// objects in this layer (on top of the default one) glow, see addBloomSelection
+export const BLOOM_LAYER = 1
+
+// tone mapping operators by name, those the installed three.js has
+export const TONE_MAPPINGS = Object.fromEntries(
+    ["NoToneMapping", "LinearToneMapping", "ReinhardToneMapping", "CineonToneMapping", "ACESFilmicToneMapping", "AgXToneMapping", "NeutralToneMapping"]
+        .filter((name) => THREE[name] !== undefined)
+        .map((name) => [name.replace("ToneMapping", ""), THREE[name]])
+)
+
+// the sun's true angular radius in radians, as seen from the earth
+const SUN_ANGULAR_RADIUS = THREE.MathUtils.degToRad(0.2666)
+// the sun disk is drawn this far from the camera, well within its far plane and beyond anything else in the scene
+const SUN_DISTANCE = 500
+
+/**
+ * Patches a material of a bloomed object so that, while the bloom selection gets rendered, it only outputs what should glow
+ * @param {object} shader as handed to onBeforeCompile
+ * @param {object} bloomSelection the bloomSelection uniform of the post-processing
+ * @param {string} glow GLSL expression of the color that glows, e.g. "totalEmissiveRadiance", or "vec3( 0.0 )" for objects hiding the glow of others
+ */
+export const addBloomSelection = (shader, bloomSelection, glow) => {
+    shader.uniforms.bloomSelection = bloomSelection
+    shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+        #include <common>
+        uniform bool bloomSelection;
+    `)
+    shader.fragmentShader = shader.fragmentShader.replace('#include <dithering_fragment>', `
+        #include <dithering_fragment>
+        if ( bloomSelection ) gl_FragColor.rgb = ${glow};
+    `)
+}
+
+/**
+ * Bloom of the objects in BLOOM_LAYER only: they get rendered on their own, blurred by an UnrealBloomPass,
+ * and only the resulting glow is added onto the scene
+ */
+class SelectiveBloomPass extends Pass {
+    constructor(scene, camera, bloomSelection, strength, radius, threshold) {
+        super()
+        this.scene = scene
+        this.camera = camera
+        this.bloomSelection = bloomSelection
+        // adds onto the scene in place
+        this.needsSwap = false
+
+        this.selectionTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType })
+        this.bloom = new UnrealBloomPass(new THREE.Vector2(1, 1), strength, radius, threshold)
+        this.clearColor = new THREE.Color(0x000000)
+        this.oldClearColor = new THREE.Color()
+
+        this.copyUniforms = THREE.UniformsUtils.clone(CopyShader.uniforms)
+        this.fsQuad = new FullScreenQuad(new THREE.ShaderMaterial({
+            uniforms: this.copyUniforms,
+            vertexShader: CopyShader.vertexShader,
+            fragmentShader: CopyShader.fragmentShader,
+            blending: THREE.AdditiveBlending,
+            depthTest: false,
+            depthWrite: false,
+            transparent: true
+        }))
+    }
+
+    render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+        // the selection on black, without the background and with every bloomed material in its glow only mode
+        const background = this.scene.background
+        const layersMask = this.camera.layers.mask
+        renderer.getClearColor(this.oldClearColor)
+        const oldClearAlpha = renderer.getClearAlpha()
+        this.scene.background = null
+        this.camera.layers.set(BLOOM_LAYER)
+        this.bloomSelection.value = true
+        renderer.setClearColor(this.clearColor, 1)
+        renderer.setRenderTarget(this.selectionTarget)
+        renderer.clear()
+        renderer.render(this.scene, this.camera)
+        this.bloomSelection.value = false
+        this.camera.layers.mask = layersMask
+        this.scene.background = background
+        renderer.setClearColor(this.oldClearColor, oldClearAlpha)
+
+        this.bloom.render(renderer, null, this.selectionTarget, deltaTime, maskActive)
+
+        // UnrealBloomPass leaves the glow alone in its first horizontal target (and adds it onto its input, which we don't need)
+        this.copyUniforms.tDiffuse.value = this.bloom.renderTargetsHorizontal[0].texture
+        renderer.setRenderTarget(this.renderToScreen ? null : readBuffer)
+        this.fsQuad.render(renderer)
+    }
+
+    setSize(width, height) {
+        this.selectionTarget.setSize(width, height)
+        this.bloom.setSize(width, height)
+    }
+
+    dispose() {
+        this.selectionTarget.dispose()
+        this.bloom.dispose()
+        this.fsQuad.dispose()
+        this.fsQuad.material.dispose()
+    }
+}
+
+/**
+ * @returns {THREE.Texture} a soft white disk fading out at the edge of the texture, the disk itself covers the inner quarter
+ */
+const createSunTexture = () => {
+    const canvas = document.createElement("canvas")
+    canvas.width = canvas.height = 128
+    const ctx = canvas.getContext("2d")
+    const gradient = ctx.createRadialGradient(64, 64, 0, 64, 64, 64)
+    gradient.addColorStop(0, "rgba(255, 255, 255, 1)")
+    gradient.addColorStop(0.25, "rgba(255, 255, 255, 1)")
+    gradient.addColorStop(0.3, "rgba(255, 240, 220, 0.35)")
+    gradient.addColorStop(1, "rgba(255, 220, 180, 0)")
+    ctx.fillStyle = gradient
+    ctx.fillRect(0, 0, 128, 128)
+    const texture = new THREE.CanvasTexture(canvas)
+    texture.colorSpace = THREE.SRGBColorSpace
+    return texture
+}
+
+/**
+ * @param {THREE.Vector3} origin the camera position
+ * @param {THREE.Vector3} direction normalized, towards the sun
+ * @param {object} occluder {center, radius}
+ * @param {number} sunRadius angular radius of the sun disk as drawn
+ * @returns {number} 1 when the sphere is clear of the sun, 0 when it covers it, in between while the limb crosses it
+ */
+const sunVisibility = (origin, direction, { center, radius }, sunRadius) => {
+    const toCenter = center.clone().sub(origin)
+    const distance = toCenter.length()
+    if (distance <= radius) return 0
+    const occluderRadius = Math.asin(radius / distance)
+    const separation = direction.angleTo(toCenter)
+    return THREE.MathUtils.smoothstep(separation, occluderRadius - sunRadius, occluderRadius + sunRadius)
+}
+
+/**
+ * Creates the post-processing stack on a composer which has the scene's RenderPass in it already
+ * @param {object} composer Threejs EffectComposer instance
+ * @param {object} renderer Threejs renderer instance
+ * @param {object} scene Threejs scene instance
+ * @param {object} camera Threejs camera instance
+ * @returns {object} the stack, its passes can be enabled and tuned directly, e.g. post.bloomPass.bloom.strength = 1.5
+ */
+export const createPostProcessing = (composer, renderer, scene, camera) => {
+    // read by the materials of the bloomed objects, true while the bloom selection gets rendered
+    const bloomSelection = { value: false }
+
+    const bloomPass = new SelectiveBloomPass(scene, camera, bloomSelection, 0.8, 0.4, 0.0)
+    composer.addPass(bloomPass)
+
+    const flarePass = new ShaderPass({
+        uniforms: {
+            tDiffuse: { value: null },
+            sunPosition: { value: new THREE.Vector2() },
+            flareIntensity: { value: 0 },
+            aspect: { value: 1 }
+        },
+        vertexShader: CopyShader.vertexShader,
+        fragmentShader: lensFlareShader
+    })
+    composer.addPass(flarePass)
+
+    // tone mapping (renderer.toneMapping and toneMappingExposure) and the conversion to sRGB
+    composer.addPass(new OutputPass())
+
+    // antialiasing passes, on the final sRGB image, at most one of them is enabled
+    const fxaaPass = new ShaderPass(FXAAShader)
+    fxaaPass.enabled = false
+    composer.addPass(fxaaPass)
+    const smaaPass = new SMAAPass(1, 1)
+    smaaPass.enabled = false
+    composer.addPass(smaaPass)
+
+    // the sun disk, depth tested so whatever is in front of it hides it
+    const sunMaterial = new THREE.SpriteMaterial({
+        map: createSunTexture(),
+        color: new THREE.Color(1, 0.95, 0.9).multiplyScalar(8), // way above 1, so it blooms
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    })
+    const sun = new THREE.Sprite(sunMaterial)
+    sun.layers.enable(BLOOM_LAYER)
+    scene.add(sun)
+
+    let sunSize = 4
+    let flareStrength = 1
+    const sunScreen = new THREE.Vector3()
+    const bufferSize = new THREE.Vector2()
+
+    return {
+        bloomSelection,
+        bloomPass,
+        flarePass,
+        sun,
+        /**
+         * @param {number} factor how many times its true size the sun disk is drawn
+         */
+        setSunSize(factor) {
+            sunSize = factor
+        },
+        setFlareStrength(strength) {
+            flareStrength = strength
+        },
+        /**
+         * @param {string} name "none", "fxaa" or "smaa"
+         */
+        setAntialiasing(name) {
+            fxaaPass.enabled = name === "fxaa"
+            smaaPass.enabled = name === "smaa"
+        },
+        /**
+         * Moves the sun disk and its flare, call every frame after the camera has moved
+         * @param {THREE.Vector3} sunDirection normalized, towards the sun, in world space
+         * @param {object[]} occluders {center, radius} spheres in world space which can hide the sun, e.g. the earth and the moon
+         */
+        update(sunDirection, occluders) {
+            const angularRadius = SUN_ANGULAR_RADIUS * sunSize
+            // the camera may have moved since it was last rendered
+            camera.updateMatrixWorld()
+            // the disk follows the camera, so it keeps its apparent size and stays within the far plane
+            sun.position.copy(camera.position).addScaledVector(sunDirection, SUN_DISTANCE)
+            // the texture is 4 times as wide as the disk on it
+            sun.scale.setScalar(4 * 2 * SUN_DISTANCE * Math.tan(angularRadius))
+
+            renderer.getDrawingBufferSize(bufferSize)
+            fxaaPass.material.uniforms.resolution.value.set(1 / bufferSize.x, 1 / bufferSize.y)
+
+            let intensity = 0
+            sunScreen.copy(sun.position).project(camera)
+            // in front of the camera, and not too far off screen
+            if (flarePass.enabled && sun.visible && sunScreen.z < 1 && Math.abs(sunScreen.x) < 1.5 && Math.abs(sunScreen.y) < 1.5) {
+                intensity = flareStrength * occluders.reduce((visibility, occluder) => {
+                    return visibility * sunVisibility(camera.position, sunDirection, occluder, angularRadius)
+                }, 1)
+                // fades out as the sun leaves the screen
+                intensity *= 1 - THREE.MathUtils.smoothstep(Math.max(Math.abs(sunScreen.x), Math.abs(sunScreen.y)), 1, 1.5)
+            }
+            const uniforms = flarePass.material.uniforms
+            uniforms.sunPosition.value.set(sunScreen.x * 0.5 + 0.5, sunScreen.y * 0.5 + 0.5)
+            uniforms.flareIntensity.value = intensity
+            uniforms.aspect.value = bufferSize.x / bufferSize.y
+        },
+        dispose() {
+            scene.remove(sun)
+            sunMaterial.map.dispose()
+            sunMaterial.dispose()
+            bloomPass.dispose()
+            flarePass.dispose()
+            fxaaPass.dispose()
+            smaaPass.dispose()
+        }
+    }
+}
@@ -0,0 +1,183 @@
+// Adaptive quality: the measured frame rate steps the rendering through quality tiers, unless a tier is pinned
+
+import * as THREE from "three"
+
+global.THREE = THREE
+
+// from the cheapest to the most demanding, high is what the globe looked like before tiers existed
+export const QUALITY_TIERS = [
+    {
+        name: "low",
+        maxPixelRatio: 0.75, // renderer pixel ratio, capped by the device's
+        segments: 32, // width and height segments of the earth, clouds and atmosphere spheres
+        reliefSegments: 32, // grid cells along each edge of the faces of the earth's cube-sphere, when the relief is on
+        samples: 0, // MSAA samples of the render targets, 0 turns antialiasing off
+        textureScale: 0.25, // the textures are downscaled by this factor
+        cloudShadows: false,
+        nightLights: false,
+        scatterSteps: 6, // samples along the view ray and along the light ray of the atmospheric scattering
+        scatterLightSteps: 3
+    },
+    {
+        name: "medium",
+        maxPixelRatio: 1,
+        segments: 48,
+        reliefSegments: 64,
+        samples: 0,
+        textureScale: 0.5,
+        cloudShadows: true,
+        nightLights: true,
+        scatterSteps: 10,
+        scatterLightSteps: 4
+    },
+    {
+        name: "high",
+        maxPixelRatio: 2,
+        segments: 64,
+        reliefSegments: 128,
+        samples: 4,
+        textureScale: 1,
+        cloudShadows: true,
+        nightLights: true,
+        scatterSteps: 16,
+        scatterLightSteps: 6
+    },
+    {
+        name: "ultra",
+        maxPixelRatio: Infinity,
+        segments: 128,
+        reliefSegments: 192,
+        samples: 8,
+        textureScale: 1,
+        cloudShadows: true,
+        nightLights: true,
+        scatterSteps: 24,
+        scatterLightSteps: 8
+    }
+]
+
+/**
+ * Creates the governor. It is fed the frame times, averages them over one second buckets,
+ * steps one tier down after 2 seconds below minFps and one tier up after 5 seconds at upFps or more.
+ * A tier it had to step down from is only tried again after retryDelay seconds, so it doesn't keep bouncing between two tiers
+ * @param {object} options
+ * @param {object[]} options.tiers ordered from the cheapest to the most demanding, def = QUALITY_TIERS
+ * @param {string} options.initialTier name of the tier to start with
+ * @param {number} options.minFps
+ * @param {number} options.upFps close to the refresh rate, frames can't come any faster with vsync
+ * @param {number} options.retryDelay in seconds
+ * @param {function} options.onChange called with the new tier whenever it changes, including when pinned
+ * @returns {object} the governor
+ */
+export const createQualityGovernor = ({
+    tiers = QUALITY_TIERS,
+    initialTier = "high",
+    minFps = 45,
+    upFps = 57,
+    retryDelay = 60,
+    onChange = (tier) => { }
+} = {}) => {
+    let index = Math.max(0, tiers.findIndex((tier) => tier.name === initialTier))
+    let pinned = false
+    // frame rates of the last seconds, the most recent last
+    let buckets = []
+    let bucketTime = 0
+    let bucketFrames = 0
+    let elapsed = 0
+    // tier index -> elapsed time at which it was stepped down from
+    const failedAt = {}
+
+    const setIndex = (newIndex) => {
+        buckets = []
+        bucketTime = 0
+        bucketFrames = 0
+        if (newIndex === index) return
+        index = newIndex
+        onChange(tiers[index])
+    }
+
+    return {
+        tiers,
+        get tier() {
+            return tiers[index]
+        },
+        get pinned() {
+            return pinned
+        },
+        /**
+         * @param {string} name name of the tier to stick to, null to let the governor pick again
+         */
+        pin(name) {
+            pinned = name !== null
+            if (pinned) {
+                const pinnedIndex = tiers.findIndex((tier) => tier.name === name)
+                if (pinnedIndex < 0) throw new Error(`Unknown quality tier: ${name}`)
+                setIndex(pinnedIndex)
+            } else {
+                setIndex(index)
+            }
+        },
+        /**
+         * Call once per frame rendered back to back, frames spaced out on purpose (e.g. rendering on demand) would read as slow ones
+         * @param {number} delta time since the previous frame, in seconds
+         */
+        sample(delta) {
+            // hiccups like shader compiles, texture uploads or a background tab say nothing about the steady frame rate
+            if (pinned || !(delta > 0) || delta > 0.5) return
+            elapsed += delta
+            bucketTime += delta
+            bucketFrames++
+            if (bucketTime < 1) return
+            buckets.push(bucketFrames / bucketTime)
+            bucketTime = 0
+            bucketFrames = 0
+            if (buckets.length > 5) buckets.shift()
+
+            const recent = buckets.slice(-2)
+            if (index > 0 && recent.length === 2 && recent.every((fps) => fps < minFps)) {
+                failedAt[index] = elapsed
+                setIndex(index - 1)
+            } else if (index < tiers.length - 1 && buckets.length === 5 && buckets.every((fps) => fps >= upFps)) {
+                const failed = failedAt[index + 1]
+                if (failed === undefined || elapsed - failed > retryDelay) setIndex(index + 1)
+            }
+        }
+    }
+}
+
+/**
+ * Downscaled copies of a texture, made on demand and kept for reuse
+ * @param {THREE.Texture} texture a texture with a drawable image, others (e.g. the single pixel placeholders) are always returned as they are
+ * @returns {object} {get(scale), dispose()}, dispose frees the copies but not the texture itself
+ */
+export const createTextureVariants = (texture) => {
+    const variants = new Map()
+    const image = texture.image
+    const drawable = image && !texture.isDataTexture && image.width > 1 && image.height > 1
+
+    return {
+        /**
+         * @param {number} scale 1 for the texture itself
+         * @returns {THREE.Texture}
+         */
+        get(scale) {
+            if (scale >= 1 || !drawable) return texture
+            if (!variants.has(scale)) {
+                const canvas = document.createElement("canvas")
+                canvas.width = Math.max(1, Math.round(image.width * scale))
+                canvas.height = Math.max(1, Math.round(image.height * scale))
+                canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height)
+                // a clone shares the image (the source) of the texture, the variant gets its own
+                const variant = texture.clone()
+                variant.source = new THREE.Source(canvas)
+                variant.needsUpdate = true
+                variants.set(scale, variant)
+            }
+            return variants.get(scale)
+        },
+        dispose() {
+            variants.forEach((variant) => variant.dispose())
+            variants.clear()
+        }
+    }
+}
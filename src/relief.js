@@ -0,0 +1,174 @@
+// Terrain relief: the globe displaced by its heightmap on a finely subdivided cube-sphere,
+// with the normals derived from the heightmap so the slopes are lit as they face the sun
+
+import * as THREE from "three"
+
+global.THREE = THREE
+
+/**
+ * Builds a cube-sphere: the faces of a cube subdivided into a grid and pushed out onto the sphere,
+ * whose triangles are much more even in size than those of a SphereGeometry, which bunches them up at the poles.
+ * uv is the equirectangular uv of the globe, as on a SphereGeometry, so the maps and the shader patches line up the same way
+ * @param {number} radius
+ * @param {number} segments grid cells along each edge of a face
+ * @returns {THREE.BufferGeometry} its parameters are {radius, segments}
+ */
+export const createCubeSphereGeometry = (radius = 10, segments = 64) => {
+    const positions = []
+    const uvs = []
+    const indices = []
+    const p = new THREE.Vector3()
+    const u = new THREE.Vector3()
+    const v = new THREE.Vector3()
+    // each face as its normal and the two axes spanning it, ordered so the triangles wind outward
+    const faces = [
+        [[1, 0, 0], [0, 0, -1], [0, 1, 0]],
+        [[-1, 0, 0], [0, 0, 1], [0, 1, 0]],
+        [[0, 1, 0], [1, 0, 0], [0, 0, -1]],
+        [[0, -1, 0], [1, 0, 0], [0, 0, 1]],
+        [[0, 0, 1], [1, 0, 0], [0, 1, 0]],
+        [[0, 0, -1], [-1, 0, 0], [0, 1, 0]]
+    ]
+    for (const [normal, axisU, axisV] of faces) {
+        const first = positions.length / 3
+        for (let j = 0; j <= segments; j++) {
+            for (let i = 0; i <= segments; i++) {
+                // the tangent warp spreads the vertices evenly by angle rather than along the cube face
+                const s = Math.tan((i / segments * 2 - 1) * Math.PI / 4)
+                const t = Math.tan((j / segments * 2 - 1) * Math.PI / 4)
+                p.fromArray(normal).add(u.fromArray(axisU).multiplyScalar(s)).add(v.fromArray(axisV).multiplyScalar(t)).normalize()
+                positions.push(p.x * radius, p.y * radius, p.z * radius)
+                // the inverse of latLonToVector3, u = 0 at longitude -180
+                uvs.push(Math.atan2(-p.z, p.x) / (2 * Math.PI) + 0.5, Math.asin(THREE.MathUtils.clamp(p.y, -1, 1)) / Math.PI + 0.5)
+            }
+        }
+        for (let j = 0; j < segments; j++) {
+            for (let i = 0; i < segments; i++) {
+                const a = first + j * (segments + 1) + i
+                const b = a + segments + 1
+                indices.push(a, a + 1, b, b, a + 1, b + 1)
+            }
+        }
+    }
+
+    // triangles straddling the antimeridian would interpolate u across the whole map, their vertices on the u ≈ 0 side
+    // get a copy at u + 1. The vertices right at a pole have no longitude, they get a copy per triangle at the u of the other two
+    const seamCopies = new Map()
+    const copyVertex = (index, uValue) => {
+        positions.push(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2])
+        uvs.push(uValue, uvs[index * 2 + 1])
+        return positions.length / 3 - 1
+    }
+    const atPole = (index) => Math.abs(positions[index * 3]) < 1e-9 && Math.abs(positions[index * 3 + 2]) < 1e-9
+    for (let k = 0; k < indices.length; k += 3) {
+        const triangle = indices.slice(k, k + 3)
+        const us = triangle.filter((index) => !atPole(index)).map((index) => uvs[index * 2])
+        if (Math.max(...us) - Math.min(...us) > 0.5) {
+            triangle.forEach((index, n) => {
+                if (atPole(index) || uvs[index * 2] >= 0.5) return
+                if (!seamCopies.has(index)) seamCopies.set(index, copyVertex(index, uvs[index * 2] + 1))
+                triangle[n] = seamCopies.get(index)
+            })
+        }
+        triangle.forEach((index, n) => {
+            if (!atPole(index)) return
+            const others = triangle.filter((other) => !atPole(other))
+            triangle[n] = copyVertex(index, others.reduce((sum, other) => sum + uvs[other * 2], 0) / others.length)
+        })
+        indices.splice(k, 3, ...triangle)
+    }
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3))
+    // on a sphere the normal is the direction of the position
+    geometry.setAttribute("normal", new THREE.Float32BufferAttribute(positions.map((value) => value / radius), 3))
+    geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2))
+    geometry.setIndex(indices)
+    geometry.type = "CubeSphereGeometry"
+    geometry.parameters = { radius, segments }
+    return geometry
+}
+
+/**
+ * Patches the globe material so its surface is displaced by the heightmap when RELIEF is defined,
+ * the uv attribute has to be the equirectangular uv of the globe (as on a cube-sphere, a SphereGeometry or a tile)
+ * @param {object} shader as handed to onBeforeCompile
+ * @param {object} reliefUniforms {reliefMap, reliefScale, reliefTexelSize}, reliefScale being the height in scene units of white in the map
+ */
+export const addRelief = (shader, reliefUniforms) => {
+    Object.assign(shader.uniforms, reliefUniforms)
+    shader.vertexShader = shader.vertexShader.replace('#include <common>', `
+        #include <common>
+        #ifdef RELIEF
+            uniform sampler2D reliefMap;
+            uniform float reliefScale;
+            uniform vec2 reliefTexelSize;
+
+            float reliefHeight( vec2 reliefUv ) {
+                return texture2D( reliefMap, reliefUv ).r * reliefScale;
+            }
+        #endif
+    `)
+    // the normal of the displaced surface, from the slopes of the heightmap around the vertex
+    shader.vertexShader = shader.vertexShader.replace('#include <beginnormal_vertex>', `
+        #include <beginnormal_vertex>
+        #ifdef RELIEF
+            vec3 radial = normalize( position );
+            float sphereRadius = length( position );
+            // east and north on the sphere, cosLat is kept off 0 at the poles where east has no direction
+            float cosLat = max( length( radial.xz ), 1e-3 );
+            vec3 east = vec3( radial.z, 0.0, -radial.x ) / cosLat;
+            vec3 north = cross( radial, east );
+            vec2 du = vec2( reliefTexelSize.x, 0.0 );
+            vec2 dv = vec2( 0.0, reliefTexelSize.y );
+            // a texel spans 2π r cos(lat) / width eastward and π r / height northward
+            float slopeEast = ( reliefHeight( uv + du ) - reliefHeight( uv - du ) ) / ( 2.0 * du.x * 2.0 * PI * sphereRadius * cosLat );
+            float slopeNorth = ( reliefHeight( uv + dv ) - reliefHeight( uv - dv ) ) / ( 2.0 * dv.y * PI * sphereRadius );
+            objectNormal = normalize( radial - slopeEast * east - slopeNorth * north );
+        #endif
+    `)
+    shader.vertexShader = shader.vertexShader.replace('#include <begin_vertex>', `
+        #include <begin_vertex>
+        #ifdef RELIEF
+            transformed += normalize( position ) * reliefHeight( uv );
+        #endif
+    `)
+}
+
+/**
+ * Reads a heightmap back on the CPU, for what has to follow the displaced surface outside of the shader (e.g. picking)
+ * @param {THREE.Texture} texture the heightmap, an image or a DataTexture (e.g. a placeholder)
+ * @param {number} width of the copy it is read from, smaller than the map as picking needs no full detail
+ * @returns {function} (lat, lon) => the height in the range of 0..1, bilinearly interpolated
+ */
+export const createHeightSampler = (texture, width = 1024) => {
+    let data, w, h, stride
+    if (texture.image.data) {
+        ({ data, width: w, height: h } = texture.image)
+        stride = data.length / (w * h)
+    } else {
+        w = Math.min(width, texture.image.width)
+        h = Math.max(1, Math.round(w * texture.image.height / texture.image.width))
+        const canvas = document.createElement("canvas")
+        canvas.width = w
+        canvas.height = h
+        const ctx = canvas.getContext("2d", { willReadFrequently: true })
+        ctx.drawImage(texture.image, 0, 0, w, h)
+        data = ctx.getImageData(0, 0, w, h).data
+        stride = 4
+    }
+    // the red channel, as the shader reads it. Row 0 is north on an image, and south on a DataTexture which isn't flipped
+    const flipped = Boolean(texture.image.data)
+    const value = (x, y) => data[((flipped ? h - 1 - y : y) * w + THREE.MathUtils.euclideanModulo(x, w)) * stride] / 255
+    return (lat, lon) => {
+        // texel centers, u = 0 at longitude -180 as in the uv of the globe
+        const x = (lon + 180) / 360 * w - 0.5
+        const y = THREE.MathUtils.clamp((90 - lat) / 180 * h - 0.5, 0, h - 1)
+        const x0 = Math.floor(x)
+        const y0 = Math.floor(y)
+        const y1 = Math.min(y0 + 1, h - 1)
+        const fx = x - x0
+        const fy = y - y0
+        return (value(x0, y0) * (1 - fx) + value(x0 + 1, y0) * fx) * (1 - fy) + (value(x0, y1) * (1 - fx) + value(x0 + 1, y1) * fx) * fy
+    }
+}
@@ -0,0 +1,124 @@
+// Ring systems: a flat annulus in the equatorial plane of the planet, textured by a strip going from the inner to the outer edge,
+// with the planet's shadow falling on the rings and the rings' shadow falling on the planet
+
+import * as THREE from "three"
+import { createPlaceholderTexture } from "./common-utils"
+import ringVertexShader from "./shaders/ring-vertex.glsl"
+import ringFragmentShader from "./shaders/ring-fragment.glsl"
+import ringShadowShader from "./shaders/ring-shadow.glsl"
+
+global.THREE = THREE
+
+/**
+ * Patches the planet material so the rings dim the sunlight falling on the surface
+ * @param {object} shader as handed to onBeforeCompile
+ * @param {object} shadowUniforms the rings' shadowUniforms
+ * @param {string} worldPosition name of a varying holding the world position of the fragment
+ */
+export const addRingShadow = (shader, shadowUniforms, worldPosition) => {
+    Object.assign(shader.uniforms, shadowUniforms)
+    shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+        #include <common>
+        uniform sampler2D ringMap;
+        uniform float ringInner;
+        uniform float ringOuter;
+        uniform vec3 ringNormal;
+        uniform vec3 ringCenter;
+        uniform vec3 ringSunDirection;
+        ${ringShadowShader}
+    `)
+    // only the direct sunlight is shadowed, the night lights (emissive) stay as they are
+    shader.fragmentShader = shader.fragmentShader.replace('#include <lights_fragment_end>', `
+        #include <lights_fragment_end>
+        float ringShadow = ringTransmittance( ${worldPosition}, ringSunDirection );
+        reflectedLight.directDiffuse *= ringShadow;
+        reflectedLight.directSpecular *= ringShadow;
+    `)
+}
+
+/**
+ * Creates the rings, hidden until a ring system is set
+ * @param {object} frame object whose local frame is equatorial (+Y to the planet's north pole), the rings are added to it
+ * @param {object} planetUniforms {sunDirection, planetCenter, planetRadius} uniforms in world space, kept up to date by the caller
+ * @returns {object} the rings
+ */
+export const createRings = (frame, planetUniforms) => {
+    // stands in for the ring texture while there are no rings, ringOuter being 0 then also turns the shadow off
+    const emptyMap = createPlaceholderTexture([0, 0, 0, 0])
+
+    // shared with the planet material through addRingShadow
+    const shadowUniforms = {
+        ringMap: { value: emptyMap },
+        ringInner: { value: 0 },
+        ringOuter: { value: 0 },
+        ringNormal: { value: new THREE.Vector3(0, 1, 0) },
+        ringCenter: { value: new THREE.Vector3() },
+        ringSunDirection: planetUniforms.sunDirection
+    }
+
+    const material = new THREE.ShaderMaterial({
+        vertexShader: ringVertexShader,
+        fragmentShader: ringFragmentShader,
+        uniforms: {
+            ringMap: shadowUniforms.ringMap,
+            ringInner: shadowUniforms.ringInner,
+            ringOuter: shadowUniforms.ringOuter,
+            ringNormal: shadowUniforms.ringNormal,
+            sunDirection: planetUniforms.sunDirection,
+            planetCenter: planetUniforms.planetCenter,
+            planetRadius: planetUniforms.planetRadius,
+            ringLight: { value: 1.0 }
+        },
+        side: THREE.DoubleSide,
+        transparent: true,
+        depthWrite: false
+    })
+    const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material)
+    mesh.visible = false
+    frame.add(mesh)
+
+    return {
+        mesh,
+        shadowUniforms,
+        /**
+         * @param {object} rings (optional) {innerRadius, outerRadius} in scene units, null to remove the rings
+         * @param {THREE.Texture} texture the strip going from the inner to the outer edge, its alpha being the opacity of the rings
+         */
+        setRings(rings, texture) {
+            mesh.geometry.dispose()
+            if (!rings) {
+                mesh.geometry = new THREE.BufferGeometry()
+                mesh.visible = false
+                shadowUniforms.ringMap.value = emptyMap
+                shadowUniforms.ringInner.value = 0
+                shadowUniforms.ringOuter.value = 0
+                return
+            }
+            // RingGeometry lies in the XY plane, the equatorial plane is XZ
+            mesh.geometry = new THREE.RingGeometry(rings.innerRadius, rings.outerRadius, 256, 1).rotateX(-Math.PI / 2)
+            mesh.visible = true
+            texture.colorSpace = THREE.SRGBColorSpace
+            shadowUniforms.ringMap.value = texture
+            shadowUniforms.ringInner.value = rings.innerRadius
+            shadowUniforms.ringOuter.value = rings.outerRadius
+        },
+        // @param {number} intensity - brightness of the sunlit rings, e.g. that of the directional light
+        setLight(intensity) {
+            material.uniforms.ringLight.value = intensity
+        },
+        /**
+         * Follows the frame's orientation, call every frame after the frame has moved
+         */
+        update() {
+            frame.updateMatrixWorld()
+            shadowUniforms.ringNormal.value.set(0, 1, 0).transformDirection(frame.matrixWorld)
+            frame.getWorldPosition(shadowUniforms.ringCenter.value)
+        },
+        dispose() {
+            frame.remove(mesh)
+            mesh.geometry.dispose()
+            material.dispose()
+            emptyMap.dispose()
+        }
+    }
+}
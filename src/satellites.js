@@ -0,0 +1,246 @@
+// Satellites propagated with SGP4 from two-line element sets, rendered as instanced points around the globe
+
+import * as THREE from "three"
+import { twoline2satrec, propagate, gstime, eciToGeodetic } from "satellite.js"
+import { latLonToVector3 } from "./geo-utils"
+
+global.THREE = THREE
+
+// the earth has a radius of 10 in our scene
+const KM_TO_SCENE = 10 / 6371
+// at most this many satellites get propagated per frame, the rest wait for the next frames
+const PROPAGATIONS_PER_FRAME = 2000
+// unless the simulation time moved by more than this since the last frame (in ms), then they all are, not to be drawn at mixed epochs
+const MAX_SPREAD_STEP = 10000
+// ground tracks are drawn slightly above the surface
+const TRACK_RADIUS = 10.02
+
+/**
+ * Parses a TLE file, with or without the name line (3LE or 2LE)
+ * @param {string} text content of the TLE file
+ * @returns {object[]} satellites as {name, satrec}
+ */
+export const parseTle = (text) => {
+    const lines = text.split(/\r?\n/).map((line) => line.trimEnd()).filter((line) => line.trim() !== "")
+    const satellites = []
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].startsWith("1 ") && lines[i + 1] && lines[i + 1].startsWith("2 ")) {
+            // the name line is optional, fall back to the catalog number
+            const name = i > 0 && !lines[i - 1].startsWith("2 ") ? lines[i - 1].replace(/^0 /, "").trim() : lines[i].substring(2, 7).trim()
+            const satrec = twoline2satrec(lines[i], lines[i + 1])
+            if (!satrec.error) satellites.push({ name, satrec })
+            i++
+        }
+    }
+    return satellites
+}
+
+/**
+ * TEME (the frame SGP4 works in) has +Z through the north pole and +X towards the vernal equinox,
+ * in the equatorial frame of our group +Y is the north pole and RA = 90 degrees lies along -Z
+ * @param {object} eci {x, y, z} in km
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} position in the equatorial frame in scene units
+ */
+const temeToScene = (eci, target) => {
+    return target.set(eci.x, eci.z, -eci.y).multiplyScalar(KM_TO_SCENE)
+}
+
+/**
+ * Creates the satellite layer
+ * @param {object} frame the equatorial (inertial) frame the satellites orbit in, normally the tilted group holding the earth
+ * @param {object} globe the globe mesh that ground tracks are attached to, or a group turning with it, normally the overlays of the earth
+ * @param {THREE.EventDispatcher} picker created by createPicker, the layer registers itself as a pick target
+ * @param {object} options (optional)
+ * @param {function} options.onChange called whenever the satellites or the selection changed, e.g. to request a redraw
+ * @returns {THREE.EventDispatcher} the layer, dispatches 'click' events with {satellite, info}
+ */
+export const createSatelliteLayer = (frame, globe, picker, { onChange = () => { } } = {}) => {
+    const layer = new THREE.EventDispatcher()
+    let satellites = []
+    let cursor = 0
+    // simulation time of the last update, in ms
+    let lastTime = null
+    let selected = null
+    let trailTime = null
+
+    const geometry = new THREE.SphereGeometry(0.08, 8, 6)
+    const material = new THREE.MeshBasicMaterial({ color: 0xffffff })
+    let mesh = new THREE.InstancedMesh(geometry, material, 0)
+    frame.add(mesh)
+
+    const trail = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: 0x66ccff, transparent: true, opacity: 0.6 }))
+    trail.visible = false
+    frame.add(trail)
+    const track = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: 0xffcc33, transparent: true, opacity: 0.8 }))
+    track.visible = false
+    globe.add(track)
+
+    const position = new THREE.Vector3()
+    const matrix = new THREE.Matrix4()
+    const defaultColor = new THREE.Color(0xffffff)
+    const selectedColor = new THREE.Color(0xffcc33)
+
+    layer.showTrails = true
+    layer.showGroundTracks = true
+
+    /**
+     * @param {object[]} newSatellites as returned by parseTle
+     */
+    layer.setSatellites = (newSatellites) => {
+        // while the selection is still found in the old list and the old mesh
+        layer.select(null)
+        satellites = newSatellites.map((sat) => ({ ...sat, position: new THREE.Vector3(), valid: false }))
+        cursor = 0
+        lastTime = null
+        const { visible } = mesh
+        frame.remove(mesh)
+        mesh.dispose()
+        mesh = new THREE.InstancedMesh(geometry, material, satellites.length)
+        mesh.visible = visible
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage)
+        for (let i = 0; i < satellites.length; i++) mesh.setColorAt(i, defaultColor)
+        frame.add(mesh)
+        onChange()
+    }
+
+    /**
+     * Loads a TLE file, replacing the satellites shown
+     * @param {string|File} source url or a File picked by the user
+     * @returns {Promise<object[]>} the satellites, rejects without touching the ones shown when the file holds none
+     */
+    layer.load = async (source) => {
+        const text = source instanceof File ? await source.text() : await (await fetch(source)).text()
+        const parsed = parseTle(text)
+        if (!parsed.length) throw new Error("No valid two-line element set was found")
+        layer.setSatellites(parsed)
+        return parsed
+    }
+
+    /**
+     * @param {object} satellite
+     * @param {Date} date
+     * @returns {object|null} {name, altitude, lat, lon}, null when SGP4 fails, e.g. for a decayed orbit
+     */
+    layer.getInfo = (satellite, date) => {
+        const result = propagate(satellite.satrec, date)
+        if (!result || !result.position) return null
+        const geodetic = eciToGeodetic(result.position, gstime(date))
+        return {
+            name: satellite.name,
+            altitude: geodetic.height,
+            lat: THREE.MathUtils.radToDeg(geodetic.latitude),
+            lon: THREE.MathUtils.radToDeg(geodetic.longitude)
+        }
+    }
+
+    // the selected satellite is highlighted and gets the trail and ground track
+    layer.select = (satellite) => {
+        if (selected && mesh.count) mesh.setColorAt(satellites.indexOf(selected), defaultColor)
+        selected = satellite
+        if (selected) mesh.setColorAt(satellites.indexOf(selected), selectedColor)
+        if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true
+        trailTime = null
+        onChange()
+    }
+
+    // one orbital period of the selected satellite in the inertial frame, and the ground track under it over the same time
+    const updateTrails = (date) => {
+        // satrec.no is the mean motion in radians per minute
+        const periodMs = 2 * Math.PI / selected.satrec.no * 60000
+        const trailPoints = []
+        const trackPoints = []
+        const steps = 180
+        for (let i = 0; i <= steps; i++) {
+            const t = new Date(date.getTime() + (i / steps - 0.5) * periodMs)
+            const result = propagate(selected.satrec, t)
+            if (!result || !result.position) continue
+            trailPoints.push(temeToScene(result.position, new THREE.Vector3()))
+            const geodetic = eciToGeodetic(result.position, gstime(t))
+            trackPoints.push(latLonToVector3(THREE.MathUtils.radToDeg(geodetic.latitude), THREE.MathUtils.radToDeg(geodetic.longitude), TRACK_RADIUS))
+        }
+        trail.geometry.dispose()
+        trail.geometry = new THREE.BufferGeometry().setFromPoints(trailPoints)
+        track.geometry.dispose()
+        track.geometry = new THREE.BufferGeometry().setFromPoints(trackPoints)
+        trailTime = date.getTime()
+    }
+
+    /**
+     * Propagates the satellites to the given simulation time, call every frame
+     * @param {Date} date simulation time
+     * @param {object} options (optional)
+     * @param {bool} options.all whether to propagate every satellite this frame, e.g. for frames stepped by an export
+     */
+    layer.update = (date, { all = false } = {}) => {
+        const jumped = lastTime === null || Math.abs(date.getTime() - lastTime) > MAX_SPREAD_STEP
+        lastTime = date.getTime()
+        const count = all || jumped ? satellites.length : Math.min(satellites.length, PROPAGATIONS_PER_FRAME)
+        for (let n = 0; n < count; n++) {
+            const i = cursor
+            cursor = (cursor + 1) % satellites.length
+            const sat = satellites[i]
+            const result = propagate(sat.satrec, date)
+            sat.valid = !!(result && result.position)
+            if (sat.valid) {
+                temeToScene(result.position, sat.position)
+                matrix.makeTranslation(sat.position.x, sat.position.y, sat.position.z)
+            } else {
+                // hide satellites that SGP4 can't propagate to this time by scaling them down to nothing
+                matrix.makeScale(0, 0, 0)
+            }
+            mesh.setMatrixAt(i, matrix)
+        }
+        if (count) {
+            mesh.instanceMatrix.needsUpdate = true
+            mesh.computeBoundingSphere()
+        }
+
+        // the ground track slides as the earth turns underneath, so it gets refreshed once a simulated minute has passed
+        if (selected && (trailTime === null || Math.abs(date.getTime() - trailTime) > 60000)) {
+            updateTrails(date)
+        }
+        trail.visible = !!selected && layer.showTrails && mesh.visible
+        track.visible = !!selected && layer.showGroundTracks && mesh.visible
+    }
+
+    // pick target, see createPicker
+    const target = {
+        raycast(raycaster) {
+            if (!mesh.visible || !mesh.count) return null
+            const intersect = raycaster.intersectObject(mesh, false)[0]
+            return intersect ? { distance: intersect.distance, satellite: satellites[intersect.instanceId] } : null
+        }
+    }
+    picker.addTarget(target)
+
+    const onClick = (e) => {
+        const satellite = e.hit && e.hit.satellite ? e.hit.satellite : null
+        // clicking anything else than a satellite keeps the selection, only clicking empty space clears it
+        if (satellite || !e.hit) layer.select(satellite)
+        if (satellite) layer.dispatchEvent({ type: "click", satellite })
+    }
+    picker.addEventListener("click", onClick)
+
+    layer.getMesh = () => mesh
+    layer.setVisible = (visible) => {
+        mesh.visible = visible
+    }
+
+    layer.dispose = () => {
+        picker.removeTarget(target)
+        picker.removeEventListener("click", onClick)
+        frame.remove(mesh)
+        frame.remove(trail)
+        globe.remove(track)
+        mesh.dispose()
+        geometry.dispose()
+        material.dispose()
+        trail.geometry.dispose()
+        trail.material.dispose()
+        track.geometry.dispose()
+        track.material.dispose()
+    }
+
+    return layer
+}
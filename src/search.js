@@ -0,0 +1,155 @@
+// Offline place search over the bundled gazetteer, with a small search box UI
+
+import gazetteer from "./data/gazetteer.json"
+
+const MAX_RESULTS = 8
+
+/**
+ * Lowercases and strips diacritics so "sao paulo" finds "São Paulo"
+ * @param {string} str
+ * @returns {string}
+ */
+const normalize = (str) => {
+    return str.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim()
+}
+
+/**
+ * Levenshtein distance, bailing out early once it's clear the distance exceeds max
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} the distance, or max + 1 if it's larger than max
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i]
+        let rowMin = i
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+            rowMin = Math.min(rowMin, curr[j])
+        }
+        if (rowMin > max) return max + 1
+        prev = curr
+    }
+    return prev[b.length]
+}
+
+/**
+ * Scores how well a query matches a name, the higher the better
+ * @param {string} query normalized query
+ * @param {string} name normalized name
+ * @returns {number} score, 0 if it doesn't match at all
+ */
+const score = (query, name) => {
+    if (name === query) return 100
+    if (name.startsWith(query)) return 90 - (name.length - query.length) * 0.1
+    // any word of the name starting with the query, e.g. "york" for "New York"
+    if (name.split(/[\s\-']/).some((word) => word.startsWith(query))) return 80
+    if (name.includes(query)) return 70
+    // tolerate typos, comparing against the start of the name as the user may not be done typing
+    const allowed = query.length > 6 ? 2 : query.length > 3 ? 1 : 0
+    const distance = Math.min(editDistance(query, name, allowed), editDistance(query, name.slice(0, query.length), allowed))
+    if (distance <= allowed) return 60 - distance * 10
+    // letters in order, e.g. "sfo" for "San Francisco"
+    let i = 0
+    for (const c of name) {
+        if (c === query[i]) i++
+    }
+    return i === query.length ? 30 : 0
+}
+
+/**
+ * @param {string} query what the user typed
+ * @param {object[]} places (optional) entries of {name, country, type, lat, lon}, def = the bundled gazetteer
+ * @returns {object[]} best matching places, best first
+ */
+export const searchPlaces = (query, places = gazetteer) => {
+    const q = normalize(query)
+    if (!q) return []
+    return places
+        .map((place) => {
+            // places can also be found by "city, country"
+            const full = place.country ? `${place.name}, ${place.country}` : place.name
+            return { place, score: Math.max(score(q, normalize(place.name)), score(q, normalize(full)) - 5) }
+        })
+        .filter((result) => result.score > 0)
+        // countries before cities of equal score, they're the broader match
+        .sort((a, b) => b.score - a.score || (a.place.type === "country" ? -1 : 1))
+        .slice(0, MAX_RESULTS)
+        .map((result) => result.place)
+}
+
+/**
+ * Creates the search box
+ * @param {HTMLElement} container element to put the search box in
+ * @param {function} onSelect called with the chosen place
+ * @returns {object} {element, dispose}
+ */
+export const createSearchBox = (container, onSelect) => {
+    const element = document.createElement("div")
+    element.className = "search-box"
+    const input = document.createElement("input")
+    input.type = "search"
+    input.placeholder = "Search places..."
+    const list = document.createElement("ul")
+    element.append(input, list)
+    container.appendChild(element)
+
+    let results = []
+    let active = -1
+
+    const render = () => {
+        list.replaceChildren(...results.map((place, i) => {
+            const item = document.createElement("li")
+            item.textContent = place.country ? `${place.name}, ${place.country}` : place.name
+            item.className = i === active ? "active" : ""
+            // mousedown instead of click, which would come after the input's blur has emptied the list
+            item.addEventListener("mousedown", (e) => {
+                e.preventDefault()
+                choose(place)
+            })
+            return item
+        }))
+    }
+    const choose = (place) => {
+        input.value = place.name
+        results = []
+        render()
+        input.blur()
+        onSelect(place)
+    }
+
+    input.addEventListener("input", () => {
+        results = searchPlaces(input.value)
+        active = results.length ? 0 : -1
+        render()
+    })
+    input.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault()
+            if (results.length) {
+                active = (active + (e.key === "ArrowDown" ? 1 : results.length - 1)) % results.length
+                render()
+            }
+        } else if (e.key === "Enter" && active !== -1) {
+            choose(results[active])
+        } else if (e.key === "Escape") {
+            results = []
+            render()
+            input.blur()
+        }
+    })
+    input.addEventListener("blur", () => {
+        results = []
+        render()
+    })
+
+    return {
+        element,
+        dispose() {
+            element.remove()
+        }
+    }
+}
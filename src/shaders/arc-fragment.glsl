@@ -0,0 +1,23 @@
+uniform float time;
+uniform float arcOpacity;
+uniform float dashSize;
+uniform float dashGap;
+uniform float dashSpeed;
+
+varying vec3 vColor;
+varying float vDist;
+
+void main() {
+    float alpha = arcOpacity;
+
+    // dashes flow from origin to destination, a dashSize of 0 draws solid arcs
+    if ( dashSize > 0.0 ) {
+        float period = dashSize + dashGap;
+        float phase = mod( vDist - time * dashSpeed, period );
+        // soften the dash ends a little so they don't flicker when moving
+        alpha *= smoothstep( 0.0, 0.02, phase ) * ( 1.0 - smoothstep( dashSize - 0.02, dashSize, phase ) );
+    }
+
+    gl_FragColor = vec4( vColor, alpha );
+    gl_FragColor = linearToOutputTexel( gl_FragColor );
+}
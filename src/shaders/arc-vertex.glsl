@@ -0,0 +1,34 @@
+// Arcs are ribbons whose width is constant in screen space:
+// every point along the arc comes as a pair of vertices which get pushed apart perpendicular to the arc on screen
+uniform vec2 resolution;
+
+attribute vec3 prev;
+attribute vec3 next;
+attribute float side;
+attribute float arcDist;
+attribute vec3 arcColor;
+attribute float arcWidth;
+
+varying vec3 vColor;
+varying float vDist;
+
+void main() {
+    vColor = arcColor;
+    vDist = arcDist;
+
+    mat4 mvp = projectionMatrix * modelViewMatrix;
+    vec4 clipPos = mvp * vec4( position, 1.0 );
+    vec4 clipPrev = mvp * vec4( prev, 1.0 );
+    vec4 clipNext = mvp * vec4( next, 1.0 );
+
+    // direction of the arc in screen pixels, prev/next are clamped to the point itself at both ends of the arc
+    vec2 screenPrev = clipPrev.xy / clipPrev.w * resolution;
+    vec2 screenNext = clipNext.xy / clipNext.w * resolution;
+    vec2 dir = normalize( screenNext - screenPrev );
+    vec2 normal = vec2( -dir.y, dir.x );
+
+    // NDC spans 2 units across the screen, so half the width in pixels is arcWidth / resolution in NDC
+    clipPos.xy += normal * side * arcWidth / resolution * clipPos.w;
+
+    gl_Position = clipPos;
+}
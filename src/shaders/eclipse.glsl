@@ -0,0 +1,41 @@
+// Eclipse shadows: how much of the sun's disk is hidden by a sphere (the moon, or the earth), as seen from a point
+
+#ifndef PI
+#define PI 3.141592653589793
+#endif
+
+/**
+ * @param p the point receiving the sunlight, in world space at true scale
+ * @param sunPos center of the sun
+ * @param sunRadius
+ * @param occluderPos center of the occluding sphere
+ * @param occluderRadius
+ * @returns the visible fraction of the sun's disk, 0 in the umbra, between 0 and 1 in the penumbra (or antumbra), 1 outside
+ */
+float sunVisibility( vec3 p, vec3 sunPos, float sunRadius, vec3 occluderPos, float occluderRadius ) {
+    vec3 toSun = sunPos - p;
+    vec3 toOccluder = occluderPos - p;
+    float sunDist = length( toSun );
+    float occluderDist = length( toOccluder );
+    // nothing to hide when the occluder is behind the point
+    if ( dot( toSun, toOccluder ) <= 0.0 ) return 1.0;
+
+    // angular radii of the two disks and the angle between their centers,
+    // atan of the cross and dot products rather than acos, which is too imprecise for the tiny angles involved
+    float rs = asin( min( sunRadius / sunDist, 1.0 ) );
+    float ro = asin( min( occluderRadius / occluderDist, 1.0 ) );
+    float d = atan( length( cross( toSun, toOccluder ) ), dot( toSun, toOccluder ) );
+
+    if ( d >= rs + ro ) return 1.0;
+    if ( d <= abs( ro - rs ) ) {
+        // one disk fully inside the other: total, or annular
+        return ro >= rs ? 0.0 : 1.0 - ( ro * ro ) / ( rs * rs );
+    }
+    // area of the lens where the two disks overlap (the disks are small enough to be treated as flat)
+    float rs2 = rs * rs;
+    float ro2 = ro * ro;
+    float overlap = rs2 * acos( clamp( ( d * d + rs2 - ro2 ) / ( 2.0 * d * rs ), -1.0, 1.0 ) )
+        + ro2 * acos( clamp( ( d * d + ro2 - rs2 ) / ( 2.0 * d * ro ), -1.0, 1.0 ) )
+        - 0.5 * sqrt( max( ( -d + rs + ro ) * ( d + rs - ro ) * ( d - rs + ro ) * ( d + rs + ro ), 0.0 ) );
+    return clamp( 1.0 - overlap / ( PI * rs2 ), 0.0, 1.0 );
+}
@@ -1,20 +1,21 @@
-// reference from https://youtu.be/vM8M4QloVL0?si=CKD5ELVrRm3GjDnN
-varying vec3 vNormal;
-varying vec3 eyeVector;
+// the sky around the globe, lit by the sun through single scattering, see scattering.glsl
+varying vec3 vWorldPosition;
 uniform float atmOpacity;
-uniform float atmPowFactor;
-uniform float atmMultiplier;
+
+#include <scattering>
 
 void main() {
-    // Starting from the atmosphere edge, dotP would increase from 0 to 1
-    float dotP = dot( vNormal, eyeVector );
-    // This factor is to create the effect of a realistic thickening of the atmosphere coloring
-    float factor = pow(dotP, atmPowFactor) * atmMultiplier;
-    // Adding in a bit of dotP to the color to make it whiter while thickening
-    vec3 atmColor = vec3(0.35 + dotP/4.5, 0.35 + dotP/4.5, 1.0);
-    // use atmOpacity to control the overall intensity of the atmospheric color
-    gl_FragColor = vec4(atmColor, atmOpacity) * factor;
+    // the shell is drawn from its back side, so the fragment is where the view ray leaves the atmosphere;
+    // where the ray hits the earth the earth is in front and hides the fragment, its own shader takes care of the air in between
+    vec3 dir = normalize( vWorldPosition - cameraPosition );
+    vec3 transmittance;
+    vec3 color = scatter( cameraPosition, dir, length( vWorldPosition - cameraPosition ), transmittance );
+
+    // a gentle exposure curve, the sunset bands around the terminator get much brighter than the day side limb otherwise
+    color = 1.0 - exp( -color );
+    // use atmOpacity to control the overall intensity of the atmospheric color (blending is additive)
+    gl_FragColor = vec4( color, atmOpacity );
 
     // (optional) colorSpace conversion for output
     // gl_FragColor = linearToOutputTexel( gl_FragColor );
-}
\ No newline at end of file
+}
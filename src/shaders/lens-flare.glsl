@@ -0,0 +1,41 @@
+// Lens flare of the sun: glare, a halo and a string of ghosts on the line from the sun through the center of the screen,
+// added onto the rendered scene (before tone mapping, so the values are linear)
+
+uniform sampler2D tDiffuse;
+uniform vec2 sunPosition; // uv of the sun on the screen
+uniform float flareIntensity; // 0 when the sun is hidden, behind the camera or far off screen
+uniform float aspect; // width / height of the screen
+
+varying vec2 vUv;
+
+// soft disk of a given radius, in units of the screen height, around p
+float ghost( vec2 p, float radius, float softness ) {
+    float d = length( ( vUv - p ) * vec2( aspect, 1.0 ) );
+    return 1.0 - smoothstep( radius * ( 1.0 - softness ), radius, d );
+}
+
+void main() {
+    vec4 color = texture2D( tDiffuse, vUv );
+    if ( flareIntensity <= 0.0 ) {
+        gl_FragColor = color;
+        return;
+    }
+
+    vec2 axis = vec2( 0.5 ) - sunPosition;
+    vec3 flare = vec3( 0.0 );
+    flare += vec3( 1.0, 0.8, 0.5 ) * 0.12 * ghost( sunPosition + axis * 0.4, 0.03, 0.5 );
+    flare += vec3( 0.6, 0.8, 1.0 ) * 0.06 * ghost( sunPosition + axis * 0.8, 0.08, 0.9 );
+    flare += vec3( 0.5, 1.0, 0.6 ) * 0.05 * ghost( sunPosition + axis * 1.2, 0.05, 0.3 );
+    flare += vec3( 1.0, 0.6, 0.9 ) * 0.04 * ghost( sunPosition + axis * 1.6, 0.12, 0.95 );
+    flare += vec3( 0.7, 0.7, 1.0 ) * 0.08 * ghost( sunPosition + axis * 2.0, 0.04, 0.6 );
+
+    vec2 toSun = ( vUv - sunPosition ) * vec2( aspect, 1.0 );
+    float d = length( toSun );
+    // thin halo ring
+    flare += vec3( 1.0, 0.9, 0.7 ) * 0.06 * exp( -pow( ( d - 0.25 ) * 30.0, 2.0 ) );
+    // glare, with a few rays
+    float rays = pow( abs( cos( atan( toSun.y, toSun.x ) * 3.0 ) ), 30.0 );
+    flare += vec3( 1.0, 0.95, 0.85 ) * ( 0.5 * exp( -d * 12.0 ) + 0.15 * rays * exp( -d * 6.0 ) );
+
+    gl_FragColor = vec4( color.rgb + flare * flareIntensity, color.a );
+}
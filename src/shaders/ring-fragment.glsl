@@ -0,0 +1,33 @@
+// Planetary rings, lit by the sun except where the planet casts its shadow
+#include <common>
+
+uniform sampler2D ringMap;
+uniform float ringInner;
+uniform float ringOuter;
+uniform vec3 ringNormal; // in world space
+uniform vec3 sunDirection;
+uniform vec3 planetCenter;
+uniform float planetRadius;
+uniform float ringLight; // brightness of the sunlit rings
+
+varying vec3 vWorldPosition;
+varying float vRadius;
+
+void main() {
+    vec4 color = texture2D( ringMap, vec2( ( vRadius - ringInner ) / ( ringOuter - ringInner ), 0.5 ) );
+    if ( color.a <= 0.0 ) discard;
+
+    // the planet's shadow: whether the ray towards the sun crosses the planet, softened at its edge
+    vec3 toCenter = planetCenter - vWorldPosition;
+    float along = dot( toCenter, sunDirection );
+    float missDistance = length( toCenter - sunDirection * along );
+    float lit = along < 0.0 ? 1.0 : smoothstep( planetRadius * 0.98, planetRadius * 1.02, missDistance );
+
+    // seen from the unlit side, only the light getting through the rings shows, so the thinner parts are the brighter ones
+    bool unlitSide = dot( sunDirection, ringNormal ) * dot( cameraPosition - vWorldPosition, ringNormal ) < 0.0;
+    float transmitted = unlitSide ? 0.2 + 0.8 * ( 1.0 - color.a ) : 1.0;
+
+    gl_FragColor = vec4( color.rgb * ringLight * lit * transmitted, color.a );
+    gl_FragColor = linearToOutputTexel( gl_FragColor );
+    #include <dithering_fragment>
+}
@@ -0,0 +1,17 @@
+// Shadow of a ring system on its planet: how much sunlight gets through the rings on its way to a point
+
+/**
+ * @param p the point receiving the sunlight, in world space
+ * @param sunDir normalized, towards the sun
+ * @returns the fraction of the sunlight that gets through, 1 when the ray towards the sun misses the rings
+ */
+float ringTransmittance( vec3 p, vec3 sunDir ) {
+    float facing = dot( sunDir, ringNormal );
+    // the sun in the ring plane, the rings are edge on
+    if ( abs( facing ) < 1e-4 ) return 1.0;
+    float t = dot( ringCenter - p, ringNormal ) / facing;
+    if ( t <= 0.0 ) return 1.0;
+    float r = length( p + sunDir * t - ringCenter );
+    if ( r < ringInner || r > ringOuter ) return 1.0;
+    return 1.0 - texture2D( ringMap, vec2( ( r - ringInner ) / ( ringOuter - ringInner ), 0.5 ) ).a;
+}
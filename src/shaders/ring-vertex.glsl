@@ -0,0 +1,11 @@
+// Planetary rings, a flat annulus in the equatorial plane of the planet
+varying vec3 vWorldPosition;
+varying float vRadius;
+
+void main() {
+    // distance from the planet's axis, the texture is a strip going from the inner to the outer edge
+    vRadius = length( position );
+    vec4 worldPos = modelMatrix * vec4( position, 1.0 );
+    vWorldPosition = worldPos.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+}
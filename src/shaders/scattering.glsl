@@ -0,0 +1,112 @@
+// Single scattering of sunlight in the atmosphere, Rayleigh (air molecules) and Mie (aerosols)
+// references: https://developer.nvidia.com/gpugems/gpugems2/part-ii-shading-lighting-and-shadows/chapter-16-accurate-atmospheric-scattering
+// and https://www.scratchapixel.com/lessons/procedural-generation-virtual-worlds/simulating-sky/simulating-colors-of-the-sky.html
+//
+// Everything is in world space. The atmosphere is exaggerated in height to be visible at the scale of the globe,
+// the scattering coefficients are scaled down by the same amount so that optical depths, thus colors, stay the physical ones.
+
+#ifndef PI
+#define PI 3.141592653589793
+#endif
+#ifndef SCATTER_STEPS
+#define SCATTER_STEPS 16
+#endif
+#ifndef SCATTER_LIGHT_STEPS
+#define SCATTER_LIGHT_STEPS 6
+#endif
+
+uniform vec3 sunDirection; // normalized, pointing towards the sun
+uniform vec3 planetCenter;
+uniform float planetRadius;
+uniform float atmosphereRadius;
+uniform float kmToUnits; // scene units per (exaggerated) km of atmosphere
+uniform float rayleighRed; // scattering coefficients at sea level, in 1e-6 per meter
+uniform float rayleighGreen;
+uniform float rayleighBlue;
+uniform float mieCoefficient;
+uniform float rayleighScaleHeight; // in km
+uniform float mieScaleHeight; // in km
+uniform float mieAnisotropy; // how much aerosols scatter forward, 0 is evenly in all directions
+uniform float atmSunIntensity;
+
+// @returns distances along the ray to the two intersections with the sphere, x > y when there's none
+vec2 raySphere( vec3 origin, vec3 dir, float radius ) {
+    vec3 oc = origin - planetCenter;
+    float b = dot( oc, dir );
+    float c = dot( oc, oc ) - radius * radius;
+    float d = b * b - c;
+    if ( d < 0.0 ) return vec2( 1.0, -1.0 );
+    d = sqrt( d );
+    return vec2( -b - d, -b + d );
+}
+
+// @returns Rayleigh and Mie densities at a point, relative to sea level
+vec2 atmosphereDensity( vec3 p ) {
+    float h = max( length( p - planetCenter ) - planetRadius, 0.0 );
+    return exp( -h / ( vec2( rayleighScaleHeight, mieScaleHeight ) * kmToUnits ) );
+}
+
+vec3 rayleighBeta() {
+    // 1e-6 per m is 1e-3 per km
+    return vec3( rayleighRed, rayleighGreen, rayleighBlue ) * 1e-3 / kmToUnits;
+}
+
+float mieBeta() {
+    return mieCoefficient * 1e-3 / kmToUnits;
+}
+
+// @returns transmittance of the atmosphere for a given Rayleigh and Mie optical depth (densities integrated over distance)
+vec3 extinction( vec2 depth ) {
+    // aerosols also absorb a bit, extinction is about 1.1 times their scattering
+    return exp( -( rayleighBeta() * depth.x + 1.1 * mieBeta() * depth.y ) );
+}
+
+/**
+ * Integrates the sunlight scattered towards the viewer along a view ray
+ * @param origin start of the ray, e.g. the camera
+ * @param dir normalized direction of the ray
+ * @param tMax the ray stops there, e.g. at the surface
+ * @param transmittance how much of the light from behind tMax makes it to the origin
+ * @returns the inscattered light
+ */
+vec3 scatter( vec3 origin, vec3 dir, float tMax, out vec3 transmittance ) {
+    transmittance = vec3( 1.0 );
+    vec2 hit = raySphere( origin, dir, atmosphereRadius );
+    float t0 = max( hit.x, 0.0 );
+    float t1 = min( hit.y, tMax );
+    if ( t1 <= t0 ) return vec3( 0.0 );
+
+    float ds = ( t1 - t0 ) / float( SCATTER_STEPS );
+    vec2 viewDepth = vec2( 0.0 );
+    vec3 rayleighSum = vec3( 0.0 );
+    vec3 mieSum = vec3( 0.0 );
+    for ( int i = 0; i < SCATTER_STEPS; i++ ) {
+        vec3 p = origin + dir * ( t0 + ( float( i ) + 0.5 ) * ds );
+        vec2 density = atmosphereDensity( p ) * ds;
+        viewDepth += density;
+
+        // points in the shadow of the planet get no sunlight, that's what darkens the night side limb
+        vec2 toPlanet = raySphere( p, sunDirection, planetRadius );
+        if ( toPlanet.x < toPlanet.y && toPlanet.x > 0.0 ) continue;
+
+        float lightLength = raySphere( p, sunDirection, atmosphereRadius ).y;
+        float dl = lightLength / float( SCATTER_LIGHT_STEPS );
+        vec2 lightDepth = vec2( 0.0 );
+        for ( int j = 0; j < SCATTER_LIGHT_STEPS; j++ ) {
+            lightDepth += atmosphereDensity( p + sunDirection * ( float( j ) + 0.5 ) * dl ) * dl;
+        }
+        // sunlight reaching p, then light scattered at p reaching the origin
+        vec3 attenuation = extinction( viewDepth + lightDepth );
+        rayleighSum += density.x * attenuation;
+        mieSum += density.y * attenuation;
+    }
+    transmittance = extinction( viewDepth );
+
+    float mu = dot( dir, sunDirection );
+    float rayleighPhase = 3.0 / ( 16.0 * PI ) * ( 1.0 + mu * mu );
+    // Cornette-Shanks phase function
+    float g = mieAnisotropy;
+    float miePhase = 3.0 / ( 8.0 * PI ) * ( ( 1.0 - g * g ) * ( 1.0 + mu * mu ) ) / ( ( 2.0 + g * g ) * pow( 1.0 + g * g - 2.0 * g * mu, 1.5 ) );
+
+    return atmSunIntensity * ( rayleighSum * rayleighBeta() * rayleighPhase + mieSum * mieBeta() * miePhase );
+}
@@ -0,0 +1,11 @@
+varying vec3 vColor;
+varying float vBrightness;
+
+void main() {
+    // a soft disk
+    float alpha = vBrightness * ( 1.0 - smoothstep( 0.2, 0.5, length( gl_PointCoord - 0.5 ) ) );
+    if ( alpha <= 0.0 ) discard;
+
+    gl_FragColor = vec4( vColor, alpha );
+    gl_FragColor = linearToOutputTexel( gl_FragColor );
+}
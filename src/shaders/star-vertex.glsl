@@ -0,0 +1,17 @@
+// Catalog stars as round points, sized by their magnitude and colored by their temperature
+uniform float sizeScale;
+uniform float pixelRatio;
+
+attribute vec3 starColor;
+attribute float magnitude;
+
+varying vec3 vColor;
+varying float vBrightness;
+
+void main() {
+    vColor = starColor;
+    // the flux relative to a first magnitude star, faint stars get dimmer rather than smaller than a couple of pixels
+    vBrightness = clamp( pow( 10.0, -0.4 * ( magnitude - 1.0 ) ), 0.2, 1.0 );
+    gl_PointSize = sizeScale * pixelRatio * max( 1.5, 4.0 - 0.6 * magnitude );
+    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+}
@@ -1,15 +1,10 @@
-varying vec3 vNormal;
-varying vec3 eyeVector;
+varying vec3 vWorldPosition;
 
 void main() {
-    // modelMatrix transforms the coordinates local to the model into world space
-    vec4 mvPos = modelViewMatrix * vec4( position, 1.0 );
+    // modelMatrix transforms the coordinates local to the model into world space,
+    // the scattering is computed in world space along the ray from the camera to this point
+    vec4 worldPos = modelMatrix * vec4( position, 1.0 );
+    vWorldPosition = worldPos.xyz;
 
-    // normalMatrix is a matrix that is used to transform normals from object space to view space.
-    vNormal = normalize( normalMatrix * normal );
-
-    // vector pointing from camera to vertex in view space
-    eyeVector = normalize(mvPos.xyz);
-
-    gl_Position = projectionMatrix * mvPos;
-}
\ No newline at end of file
+    gl_Position = projectionMatrix * viewMatrix * worldPos;
+}
@@ -0,0 +1,12 @@
+uniform float windOpacity;
+
+varying vec3 vColor;
+varying float vFade;
+
+void main() {
+    // slots not drawn yet, or too old to be part of a trail
+    if ( vFade <= 0.0 ) discard;
+
+    gl_FragColor = vec4( vColor, windOpacity * vFade );
+    gl_FragColor = linearToOutputTexel( gl_FragColor );
+}
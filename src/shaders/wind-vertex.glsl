@@ -0,0 +1,16 @@
+// Wind trails: every step of a particle is a line segment stamped with the step it was drawn at,
+// it fades out as the stamp gets older, so the trails never have to be rewritten
+uniform float currentStep;
+uniform float trailLength;
+
+attribute float stamp;
+attribute vec3 speedColor;
+
+varying vec3 vColor;
+varying float vFade;
+
+void main() {
+    vColor = speedColor;
+    vFade = 1.0 - ( currentStep - stamp ) / trailLength;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+}
@@ -0,0 +1,52 @@
+// The simulation clock decouples the time shown in the scene from the wall clock,
+// so we can look at any date, play it forward faster than real time, or pause it
+
+/**
+ * Parses a UTC date string typed by the user, e.g. "2024-04-08 18:17" or a full ISO string
+ * @param {string} str date string, treated as UTC when it carries no timezone
+ * @returns {Date|null} null if the string can't be parsed
+ */
+export const parseUTCDate = (str) => {
+    let iso = str.trim().replace(" ", "T")
+    if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(iso)) {
+        iso += "Z"
+    }
+    const date = new Date(iso)
+    return isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} date formatted as "YYYY-MM-DD hh:mm:ss" in UTC
+ */
+export const formatUTCDate = (date) => {
+    return date.toISOString().slice(0, 19).replace("T", " ")
+}
+
+/**
+ * Creates a simulation clock
+ * @param {Date} date initial simulation time, def = now
+ * @returns {object} the clock; tick() it every frame with the real time elapsed and the rate at which simulation time should flow
+ */
+export const createSimClock = (date = new Date()) => {
+    return {
+        // milliseconds since the unix epoch, kept as a number so ticking doesn't allocate
+        time: date.getTime(),
+        /**
+         * @param {number} delta real seconds elapsed since the last tick
+         * @param {number} rate simulated seconds per real second, 0 pauses the clock
+         */
+        tick(delta, rate = 1) {
+            this.time += delta * rate * 1000
+        },
+        setDate(date) {
+            this.time = date.getTime()
+        },
+        getDate() {
+            return new Date(this.time)
+        },
+        reset() {
+            this.time = Date.now()
+        }
+    }
+}
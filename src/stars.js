@@ -0,0 +1,180 @@
+// Stars of the bundled bright-star catalog, placed by their right ascension and declination in the equatorial frame,
+// with constellation figures and the names of the stars under the cursor
+
+import * as THREE from "three"
+import { latLonToVector3 } from "./geo-utils"
+import catalog from "./data/bright-stars.json"
+import starVertexShader from "./shaders/star-vertex.glsl"
+import starFragmentShader from "./shaders/star-fragment.glsl"
+
+global.THREE = THREE
+
+// the sky is a sphere around the camera, within its far plane and beyond everything else in the scene
+const STAR_DISTANCE = 900
+// how close to a star (in pixels) the cursor picks it
+const PICK_PIXELS = 8
+
+// sRGB colors of blackbodies by temperature in K, from http://www.vendian.org/mncharity/dir3/blackbody/
+const BLACKBODY_COLORS = [
+    [3000, "#ffb46b"],
+    [4000, "#ffd1a3"],
+    [5000, "#ffe4ce"],
+    [6000, "#fff3ef"],
+    [7000, "#f5f3ff"],
+    [8000, "#e3e9ff"],
+    [10000, "#ccdbff"],
+    [15000, "#b5cdff"],
+    [25000, "#a2c0ff"]
+]
+
+/**
+ * The color a star appears in, from its B-V color index
+ * @param {number} bv B-V color index, from about -0.4 (hot, blue) to 2 (cool, red)
+ * @param {THREE.Color} target (optional) color to write the result into
+ * @returns {THREE.Color} in linear space
+ */
+export const starColor = (bv, target = new THREE.Color()) => {
+    // Ballesteros' formula, https://arxiv.org/abs/1201.1809
+    const temperature = 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62))
+    const upper = BLACKBODY_COLORS.findIndex(([t]) => t >= temperature)
+    if (upper <= 0) return target.set(BLACKBODY_COLORS[upper < 0 ? BLACKBODY_COLORS.length - 1 : 0][1])
+    const [t0, color0] = BLACKBODY_COLORS[upper - 1]
+    const [t1, color1] = BLACKBODY_COLORS[upper]
+    return target.set(color0).lerp(new THREE.Color(color1), (temperature - t0) / (t1 - t0))
+}
+
+/**
+ * Creates the star layer
+ * @param {object} frame object whose local frame is equatorial (+Y to the celestial north pole, +X to the vernal equinox), the stars are added to it
+ * @param {object} camera Threejs camera instance, the sky is kept centered on it
+ * @param {HTMLElement} container parent element of the canvas, the label of the hovered star is placed inside it
+ * @param {object} picker see createPicker, hovering a named star labels it
+ * @returns {object} the layer
+ */
+export const createStarLayer = (frame, camera, container, picker) => {
+    const root = new THREE.Group()
+    frame.add(root)
+
+    // unit vectors in the equatorial frame, right ascension being the longitude of the frame
+    const stars = catalog.stars.map((star) => ({ ...star, direction: latLonToVector3(star.dec, star.ra) }))
+    const starsById = new Map(stars.map((star) => [star.id, star]))
+
+    const positions = []
+    const colors = []
+    const color = new THREE.Color()
+    for (const star of stars) {
+        star.direction.clone().multiplyScalar(STAR_DISTANCE).toArray(positions, positions.length)
+        starColor(star.bv, color).toArray(colors, colors.length)
+    }
+    const pointsGeo = new THREE.BufferGeometry()
+    pointsGeo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3))
+    pointsGeo.setAttribute("starColor", new THREE.Float32BufferAttribute(colors, 3))
+    pointsGeo.setAttribute("magnitude", new THREE.Float32BufferAttribute(stars.map((star) => star.mag), 1))
+    const pointsMat = new THREE.ShaderMaterial({
+        vertexShader: starVertexShader,
+        fragmentShader: starFragmentShader,
+        uniforms: {
+            sizeScale: { value: 1.5 },
+            pixelRatio: { value: 1 }
+        },
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false
+    })
+    const points = new THREE.Points(pointsGeo, pointsMat)
+    root.add(points)
+
+    const linePositions = []
+    for (const constellation of catalog.constellations) {
+        for (const [from, to] of constellation.lines) {
+            starsById.get(from).direction.clone().multiplyScalar(STAR_DISTANCE).toArray(linePositions, linePositions.length)
+            starsById.get(to).direction.clone().multiplyScalar(STAR_DISTANCE).toArray(linePositions, linePositions.length)
+        }
+    }
+    const linesGeo = new THREE.BufferGeometry()
+    linesGeo.setAttribute("position", new THREE.Float32BufferAttribute(linePositions, 3))
+    const linesMat = new THREE.LineBasicMaterial({ color: 0x6688bb, transparent: true, opacity: 0.35, depthWrite: false })
+    const lines = new THREE.LineSegments(linesGeo, linesMat)
+    root.add(lines)
+
+    const label = document.createElement("div")
+    label.className = "star-label"
+    label.style.display = "none"
+    container.appendChild(label)
+    let hovered = null
+
+    const cameraPosition = new THREE.Vector3()
+    const worldDirection = new THREE.Vector3()
+    const screenPosition = new THREE.Vector3()
+
+    // pick target, see createPicker, the stars are infinitely far so they're picked by angle
+    const named = stars.filter((star) => star.name)
+    const target = {
+        raycast(raycaster) {
+            if (!root.visible) return null
+            let best = null
+            let bestAngle = THREE.MathUtils.degToRad(camera.fov) / Math.max(1, container.clientHeight) * PICK_PIXELS
+            for (const star of named) {
+                const angle = worldDirection.copy(star.direction).transformDirection(frame.matrixWorld).angleTo(raycaster.ray.direction)
+                if (angle < bestAngle) {
+                    best = star
+                    bestAngle = angle
+                }
+            }
+            return best ? { distance: STAR_DISTANCE, star: best } : null
+        }
+    }
+    picker.addTarget(target)
+
+    const onHover = (e) => {
+        hovered = e.hit && e.hit.star ? e.hit.star : null
+        label.textContent = hovered ? hovered.name : ""
+        label.style.display = hovered ? "" : "none"
+    }
+    picker.addEventListener("hover", onHover)
+
+    return {
+        stars,
+        /**
+         * Keeps the sky centered on the camera and moves the label, call every frame after the camera has moved
+         * @param {number} pixelRatio of the renderer, the star sizes are in CSS pixels
+         */
+        update(pixelRatio) {
+            if (!root.visible) return
+            // the frame only rotates, so the sky's center is the camera's position in it
+            frame.updateMatrixWorld()
+            root.position.copy(frame.worldToLocal(cameraPosition.copy(camera.position)))
+            pointsMat.uniforms.pixelRatio.value = pixelRatio
+
+            if (hovered) {
+                // the camera may have moved since it was last rendered
+                camera.updateMatrixWorld()
+                screenPosition.copy(camera.position).add(worldDirection.copy(hovered.direction).transformDirection(frame.matrixWorld)).project(camera)
+                const x = (screenPosition.x * 0.5 + 0.5) * container.clientWidth
+                const y = (-screenPosition.y * 0.5 + 0.5) * container.clientHeight
+                label.style.transform = `translate(${x}px, ${y}px)`
+            }
+        },
+        setVisible(visible) {
+            root.visible = visible
+            if (!visible) onHover({ hit: null })
+        },
+        setConstellationsVisible(visible) {
+            lines.visible = visible
+        },
+        // @param {number} scale - multiplies the size of the stars
+        setSizeScale(scale) {
+            pointsMat.uniforms.sizeScale.value = scale
+        },
+        dispose() {
+            picker.removeTarget(target)
+            picker.removeEventListener("hover", onHover)
+            frame.remove(root)
+            pointsGeo.dispose()
+            pointsMat.dispose()
+            linesGeo.dispose()
+            linesMat.dispose()
+            label.remove()
+        }
+    }
+}
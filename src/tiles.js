@@ -0,0 +1,295 @@
+// Streaming of XYZ (slippy map) imagery tiles onto the globe, refined in a quadtree by screen-space error
+
+import * as THREE from "three"
+import { loadTexture } from "./common-utils"
+import { latLonToVector3 } from "./geo-utils"
+
+global.THREE = THREE
+
+// tiles are laid a hair above the base sphere, which keeps showing where no tile is loaded (and beyond ±85° of the Web Mercator)
+const TILE_RADIUS = 10.003
+// imagery tiles are 256 pixels square
+const TILE_SIZE = 256
+// no more than this many tile requests in flight
+const MAX_CONCURRENT = 6
+
+/**
+ * @param {number} y tile row, may be fractional
+ * @param {number} z zoom level
+ * @returns {number} latitude in degrees of that row in the Web Mercator projection
+ */
+export const tileYToLat = (y, z) => {
+    return THREE.MathUtils.radToDeg(Math.atan(Math.sinh(Math.PI * (1 - 2 * y / Math.pow(2, z)))))
+}
+
+/**
+ * @param {number} x tile column, may be fractional
+ * @param {number} z zoom level
+ * @returns {number} longitude in degrees of that column
+ */
+export const tileXToLon = (x, z) => {
+    return x / Math.pow(2, z) * 360 - 180
+}
+
+/**
+ * Builds the sphere patch covered by a tile. Rows of vertices are evenly spaced in Mercator y,
+ * so the tile image (uv1) maps linearly across them, while uv keeps the equirectangular uv of the globe
+ * so the rest of the earth shading (night lights, ocean, cloud shadows) lines up as on the base sphere
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @returns {THREE.BufferGeometry}
+ */
+const createTileGeometry = (z, x, y) => {
+    // enough segments for the patch to stay above the 64 segment base sphere, which sags at most 0.003 below the radius
+    const segments = THREE.MathUtils.clamp(Math.ceil(360 / Math.pow(2, z) / 2.5), 4, 64)
+    const positions = []
+    const normals = []
+    const uvs = []
+    const uv1s = []
+    const indices = []
+    const p = new THREE.Vector3()
+    for (let j = 0; j <= segments; j++) {
+        const lat = tileYToLat(y + j / segments, z)
+        for (let i = 0; i <= segments; i++) {
+            const lon = tileXToLon(x + i / segments, z)
+            latLonToVector3(lat, lon, TILE_RADIUS, p)
+            positions.push(p.x, p.y, p.z)
+            p.normalize()
+            normals.push(p.x, p.y, p.z)
+            uvs.push((lon + 180) / 360, (lat + 90) / 180)
+            // the image's first row is the northern edge, which textures place at v = 1
+            uv1s.push(i / segments, 1 - j / segments)
+        }
+    }
+    for (let j = 0; j < segments; j++) {
+        for (let i = 0; i < segments; i++) {
+            const a = j * (segments + 1) + i
+            const b = a + segments + 1
+            indices.push(a, b, a + 1, b, b + 1, a + 1)
+        }
+    }
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3))
+    geometry.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3))
+    geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2))
+    geometry.setAttribute("uv1", new THREE.Float32BufferAttribute(uv1s, 2))
+    geometry.setIndex(indices)
+    return geometry
+}
+
+/**
+ * Creates the tile layer, tiles are children of the globe so they rotate along with it
+ * @param {object} globe the globe mesh, its material is cloned for every tile with the tile image as the map
+ * @param {object} camera Threejs camera instance
+ * @param {object} options
+ * @param {string} options.urlTemplate url of the tiles with {z}, {x} and {y} placeholders, e.g. "http://localhost:8080/{z}/{x}/{y}.png"
+ * @param {number} options.maxZoom deepest zoom level to request
+ * @param {number} options.detail tiles get split once they cover more than detail * 256 pixels on screen
+ * @param {number} options.cacheSize number of tiles kept around (least recently used ones are dropped first)
+ * @param {function} options.onLoad called whenever a tile got loaded, e.g. to request a redraw
+ * @returns {object} the layer
+ */
+export const createTileLayer = (globe, camera, { urlTemplate = "", maxZoom = 10, detail = 1.0, cacheSize = 300, onLoad = () => { } } = {}) => {
+    const group = new THREE.Group()
+    group.visible = false
+    globe.add(group)
+
+    // key -> tile, a Map iterates in insertion order, tiles get re-inserted on use so the first ones are the least recently used
+    const cache = new Map()
+    const queue = []
+    let inFlight = 0
+    let frame = 0
+
+    const center = new THREE.Vector3()
+    const tilePos = new THREE.Vector3()
+    const toCamera = new THREE.Vector3()
+
+    const getTile = (z, x, y) => {
+        const key = `${z}/${x}/${y}`
+        let tile = cache.get(key)
+        if (tile) {
+            cache.delete(key)
+        } else {
+            const lat = tileYToLat(y + 0.5, z)
+            const lon = tileXToLon(x + 0.5, z)
+            tile = {
+                key, z, x, y,
+                // local position of the tile center, and the rough size of the tile across, to estimate its size on screen
+                center: latLonToVector3(lat, lon, TILE_RADIUS),
+                size: TILE_RADIUS * THREE.MathUtils.degToRad(360 / Math.pow(2, z)) * Math.cos(THREE.MathUtils.degToRad(lat)),
+                state: "new", // new -> queued -> loading -> loaded | failed
+                mesh: null
+            }
+        }
+        cache.set(key, tile)
+        tile.usedFrame = frame
+        return tile
+    }
+
+    const request = (tile) => {
+        if (tile.state !== "new" || !urlTemplate) return
+        tile.state = "queued"
+        queue.push(tile)
+    }
+
+    const pump = () => {
+        // coarser tiles first, they cover more of the screen and are the fallback of the finer ones
+        queue.sort((a, b) => a.z - b.z)
+        while (inFlight < MAX_CONCURRENT && queue.length) {
+            const tile = queue.shift()
+            // skip tiles which went out of view or got evicted while waiting
+            if (tile.usedFrame < frame - 1 || !cache.has(tile.key)) {
+                tile.state = "new"
+                continue
+            }
+            tile.state = "loading"
+            inFlight++
+            const url = urlTemplate.replace("{z}", tile.z).replace("{x}", tile.x).replace("{y}", tile.y)
+            loadTexture(url)
+                .then((texture) => {
+                    if (!cache.has(tile.key)) {
+                        texture.dispose()
+                        return
+                    }
+                    texture.colorSpace = THREE.SRGBColorSpace
+                    texture.channel = 1 // sampled with uv1, see createTileGeometry
+                    const material = globe.material.clone()
+                    material.onBeforeCompile = globe.material.onBeforeCompile
+                    material.map = texture
+                    // win the depth test against the base sphere right underneath
+                    material.polygonOffset = true
+                    material.polygonOffsetFactor = -1
+                    material.polygonOffsetUnits = -4
+                    tile.mesh = new THREE.Mesh(createTileGeometry(tile.z, tile.x, tile.y), material)
+                    // rendered in the same passes as the globe, e.g. the bloom selection of the night lights
+                    tile.mesh.layers.mask = globe.layers.mask
+                    tile.mesh.visible = false
+                    group.add(tile.mesh)
+                    tile.state = "loaded"
+                    onLoad(tile)
+                })
+                .catch(() => {
+                    tile.state = "failed"
+                })
+                .finally(() => {
+                    inFlight--
+                })
+        }
+    }
+
+    const disposeTile = (tile) => {
+        if (!tile.mesh) return
+        group.remove(tile.mesh)
+        tile.mesh.geometry.dispose()
+        tile.mesh.material.map.dispose()
+        tile.mesh.material.dispose()
+        tile.mesh = null
+    }
+
+    // drops the least recently used tiles which aren't needed this frame
+    const evict = () => {
+        for (const tile of cache.values()) {
+            if (cache.size <= cacheSize) break
+            if (tile.usedFrame === frame) continue
+            disposeTile(tile)
+            cache.delete(tile.key)
+        }
+    }
+
+    /**
+     * Walks the quadtree from the root and picks the tiles to show:
+     * a tile is split when it's too big on screen, but keeps being drawn until its children cover its whole area
+     * @param {number} viewportHeight in pixels
+     * @returns {object[]} the tiles to show
+     */
+    const select = (viewportHeight) => {
+        globe.getWorldPosition(center)
+        // pixels per scene unit at distance 1
+        const pixelsPerUnit = viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2))
+        const shown = []
+
+        // @returns {boolean} whether the area of the tile is fully covered by what got added to shown
+        const visit = (tile) => {
+            tilePos.copy(tile.center).applyMatrix4(globe.matrixWorld)
+            toCamera.subVectors(camera.position, tilePos)
+            const distance = toCamera.length()
+            // tiles well past the horizon aren't worth loading, the margin keeps large tiles that wrap around the limb
+            const facing = tilePos.sub(center).normalize().dot(toCamera.normalize())
+            if (tile.z > 2 && facing < -0.2) return true
+
+            request(tile)
+            const screenSize = tile.size / distance * pixelsPerUnit
+            if (tile.z < maxZoom && screenSize > TILE_SIZE * detail) {
+                const saved = shown.length
+                // map rather than every, all children have to be visited so they get requested
+                const covered = [0, 1, 2, 3]
+                    .map((i) => visit(getTile(tile.z + 1, tile.x * 2 + (i % 2), tile.y * 2 + (i >> 1))))
+                    .every(Boolean)
+                if (covered) return true
+                // the children leave holes: show this tile instead while they load, or keep what they have if it's not loaded either
+                if (tile.state !== "loaded") return false
+                shown.splice(saved)
+            }
+            if (tile.state === "loaded") shown.push(tile)
+            // a failed tile won't get any better, let the base sphere show through
+            return tile.state === "loaded" || tile.state === "failed"
+        }
+        visit(getTile(0, 0, 0))
+        return shown
+    }
+
+    return {
+        group,
+        /**
+         * @param {string} template url of the tiles with {z}, {x} and {y} placeholders
+         */
+        setUrlTemplate(template) {
+            urlTemplate = template
+            queue.length = 0
+            for (const tile of cache.values()) disposeTile(tile)
+            cache.clear()
+        },
+        setMaxZoom(zoom) {
+            maxZoom = zoom
+        },
+        setDetail(value) {
+            detail = value
+        },
+        setVisible(visible) {
+            group.visible = visible
+        },
+        // whether tiles are waiting to be loaded, the queue only moves on when update() gets called
+        get loading() {
+            return group.visible && (queue.length > 0 || inFlight > 0)
+        },
+        /**
+         * Refines the quadtree for the current camera, call every frame
+         * @param {number} viewportHeight height of the canvas in pixels
+         */
+        update(viewportHeight) {
+            if (!group.visible) return
+            frame++
+            const shown = new Set(select(viewportHeight))
+            for (const tile of cache.values()) {
+                if (!tile.mesh) continue
+                tile.mesh.visible = shown.has(tile)
+                // keep params like the ocean metalness in sync with the base material
+                tile.mesh.material.metalness = globe.material.metalness
+                // and the shader branches of the quality tier, which get replaced by a new defines object when they change
+                if (tile.mesh.material.defines !== globe.material.defines) {
+                    tile.mesh.material.defines = globe.material.defines
+                    tile.mesh.material.needsUpdate = true
+                }
+            }
+            pump()
+            evict()
+        },
+        dispose() {
+            queue.length = 0
+            for (const tile of cache.values()) disposeTile(tile)
+            cache.clear()
+            globe.remove(group)
+        }
+    }
+}
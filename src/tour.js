@@ -0,0 +1,311 @@
+// Guided tours: a JSON script of keyframes, each setting the camera, the simulation time and rate, params and a caption,
+// played back with easing between the keyframes
+//
+// {
+//   "version": 1,
+//   "title": "The 2024 eclipse",
+//   "keyframes": [
+//     {
+//       "at": 0, // seconds into the tour
+//       "camera": { "position": [0, 0, 30], "target": [0, 0, 0] },
+//       "time": "2024-04-08T16:00:00Z", // simulation time
+//       "timeScale": 600, // simulated seconds per second, from this keyframe on
+//       "params": { "sunIntensity": 2, "rayleighBlue": 40 }, // as in a view state
+//       "caption": "The moon's shadow reaches the Pacific", // "" hides the caption
+//       "easing": "easeInOutCubic" // how the values ease into this keyframe from the previous one
+//     }
+//   ]
+// }
+//
+// Every field but "at" is optional, each track (the camera, the simulation time, every param, the caption)
+// goes from one keyframe setting it to the next one. Numbers and the camera are eased, other values switch on reaching their keyframe.
+// Between two keyframes setting the time the simulation time eases from one to the other (a time lapse),
+// after the last one it runs at the latest timeScale
+
+import * as THREE from "three"
+import { serializeViewState, applyParams } from "./view-state"
+
+global.THREE = THREE
+
+export const TOUR_VERSION = 1
+
+// seconds between the keyframes appended by recordKeyframe()
+const RECORD_GAP = 4
+
+export const EASINGS = {
+    linear: (t) => t,
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeInOutCubic: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeInCubic: (t) => t * t * t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    // holds the previous keyframe's values until this one is reached
+    step: (t) => t < 1 ? 0 : 1
+}
+
+export class TourError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = "TourError"
+    }
+}
+
+// params are either plain values or uniform-like { value } objects shared with the shaders
+const isUniform = (param) => param !== null && typeof param === "object" && "value" in param
+
+/**
+ * Checks a tour coming from a file
+ * @param {*} tour parsed JSON of unknown origin
+ * @returns {object} the tour, with its keyframes sorted by time
+ * @throws {TourError} with a message explaining what's wrong
+ */
+export const validateTour = (tour) => {
+    if (tour === null || typeof tour !== "object" || !Array.isArray(tour.keyframes)) {
+        throw new TourError("Not a tour: the keyframes are missing")
+    }
+    if (tour.version > TOUR_VERSION) {
+        throw new TourError(`This tour was saved by a newer version of the app (v${tour.version}, this app understands up to v${TOUR_VERSION})`)
+    }
+    const isVector = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite)
+    tour.keyframes.forEach((keyframe, i) => {
+        const fail = (message) => {
+            throw new TourError(`Invalid keyframe ${i + 1}: ${message}`)
+        }
+        if (keyframe === null || typeof keyframe !== "object") fail("not an object")
+        if (!Number.isFinite(keyframe.at) || keyframe.at < 0) fail("'at' must be a number of seconds, 0 or more")
+        if (keyframe.camera !== undefined && (!keyframe.camera || !isVector(keyframe.camera.position) || !isVector(keyframe.camera.target))) {
+            fail("'camera' needs a position and a target, each as [x, y, z]")
+        }
+        if (keyframe.time !== undefined && (typeof keyframe.time !== "string" || isNaN(new Date(keyframe.time).getTime()))) {
+            fail("'time' must be an ISO date string")
+        }
+        if (keyframe.timeScale !== undefined && !Number.isFinite(keyframe.timeScale)) fail("'timeScale' must be a number")
+        if (keyframe.params !== undefined && (keyframe.params === null || typeof keyframe.params !== "object")) fail("'params' must be an object")
+        if (keyframe.caption !== undefined && typeof keyframe.caption !== "string") fail("'caption' must be a string")
+        if (keyframe.easing !== undefined && !(keyframe.easing in EASINGS)) {
+            fail(`unknown easing '${keyframe.easing}', one of ${Object.keys(EASINGS).join(", ")}`)
+        }
+    })
+    return { ...tour, version: TOUR_VERSION, keyframes: [...tour.keyframes].sort((a, b) => a.at - b.at) }
+}
+
+/**
+ * Samples a track, i.e. the keyframes setting a value, sorted by time
+ * @param {object[]} track each as {at, value, easing}
+ * @param {number} time seconds into the tour
+ * @param {function} interpolate (from, to, t) => value, for the values that ease
+ * @returns {*} the value at that time, that of the first keyframe before it and that of the last one after it
+ */
+const sampleTrack = (track, time, interpolate) => {
+    const next = track.findIndex((key) => key.at > time)
+    if (next === 0) return track[0].value
+    if (next === -1) return track[track.length - 1].value
+    const from = track[next - 1]
+    const to = track[next]
+    const t = EASINGS[to.easing || "easeInOutCubic"]((time - from.at) / (to.at - from.at))
+    return interpolate ? interpolate(from.value, to.value, t) : (t < 1 ? from.value : to.value)
+}
+
+/**
+ * Creates the tour player, its update() has to be called every frame right after controls.update()
+ * @param {object} view {params, camera, controls, clock, gui}, as for view states
+ * @param {HTMLElement} container parent element of the canvas, the captions are shown inside it
+ * @returns {object} the player
+ */
+export const createTour = ({ params, camera, controls, clock, gui }, container) => {
+    let tour = { version: TOUR_VERSION, title: "", keyframes: [] }
+    let position = 0
+    let playing = false
+
+    const caption = document.createElement("div")
+    caption.className = "tour-caption"
+    caption.style.display = "none"
+    container.appendChild(caption)
+
+    const offset = new THREE.Vector3()
+    const fromDirection = new THREE.Vector3()
+    const toDirection = new THREE.Vector3()
+    const rotation = new THREE.Quaternion()
+    const partial = new THREE.Quaternion()
+
+    // the camera orbits the eased target, so it swings around the globe rather than cutting through it
+    const interpolateCamera = (from, to, t) => {
+        offset.subVectors(from.position, from.target)
+        const fromDistance = offset.length()
+        fromDirection.copy(offset).normalize()
+        toDirection.subVectors(to.position, to.target)
+        const toDistance = toDirection.length()
+        toDirection.normalize()
+        rotation.setFromUnitVectors(fromDirection, toDirection)
+        const target = from.target.clone().lerp(to.target, t)
+        const direction = fromDirection.clone().applyQuaternion(partial.identity().slerp(rotation, t))
+        return { position: target.clone().addScaledVector(direction, THREE.MathUtils.lerp(fromDistance, toDistance, t)), target }
+    }
+    const interpolateParam = (from, to, t) => {
+        return typeof from === "number" && typeof to === "number" ? THREE.MathUtils.lerp(from, to, t) : (t < 1 ? from : to)
+    }
+
+    const buildTracks = () => {
+        const track = (pick) => tour.keyframes
+            .filter((keyframe) => pick(keyframe) !== undefined)
+            .map((keyframe) => ({ at: keyframe.at, value: pick(keyframe), easing: keyframe.easing }))
+        const paramNames = new Set(tour.keyframes.flatMap((keyframe) => Object.keys(keyframe.params || {})))
+        return {
+            camera: track((keyframe) => keyframe.camera && {
+                position: new THREE.Vector3().fromArray(keyframe.camera.position),
+                target: new THREE.Vector3().fromArray(keyframe.camera.target)
+            }),
+            time: track((keyframe) => keyframe.time && new Date(keyframe.time).getTime()),
+            timeScale: track((keyframe) => keyframe.timeScale),
+            caption: track((keyframe) => keyframe.caption),
+            params: [...paramNames].map((name) => ({ name, track: track((keyframe) => keyframe.params && keyframe.params[name]) }))
+        }
+    }
+
+    // the keyframes split by what they set
+    let tracks = buildTracks()
+
+    /**
+     * @param {number} time seconds into the tour
+     * @returns {number} milliseconds since the unix epoch, the simulation time
+     */
+    const simulationTime = (time) => {
+        const last = tracks.time[tracks.time.length - 1]
+        if (time <= last.at) return sampleTrack(tracks.time, time, THREE.MathUtils.lerp)
+        // after the last keyframe setting the time, the clock runs at the rate of each keyframe setting it in turn
+        let simulated = 0
+        let from = last.at
+        let rate = tracks.timeScale.length ? sampleTrack(tracks.timeScale, from) : 0
+        for (const key of tracks.timeScale) {
+            if (key.at <= from || key.at > time) continue
+            simulated += (key.at - from) * rate
+            from = key.at
+            rate = key.value
+        }
+        simulated += (time - from) * rate
+        return last.value + simulated * 1000
+    }
+
+    // sets everything the tour holds at the current position
+    const apply = () => {
+        if (tracks.camera.length) {
+            const { position: cameraPosition, target } = sampleTrack(tracks.camera, position, interpolateCamera)
+            camera.position.copy(cameraPosition)
+            controls.target.copy(target)
+            camera.lookAt(target)
+        }
+        if (tracks.timeScale.length) params.timeScale = sampleTrack(tracks.timeScale, position)
+        // without keyframes setting the time, the clock keeps running on its own at the tour's rate
+        if (tracks.time.length) clock.setDate(new Date(simulationTime(position)))
+
+        // only the params that change go through the GUI, their onChange handlers can be costly
+        const values = {}
+        for (const { name, track } of tracks.params) {
+            if (!(name in params)) continue
+            const value = sampleTrack(track, position, interpolateParam)
+            const current = isUniform(params[name]) ? params[name].value : params[name]
+            if (value !== current) values[name] = value
+        }
+        if (Object.keys(values).length) applyParams(values, { params, gui })
+
+        const text = tracks.caption.length ? sampleTrack(tracks.caption, position) : ""
+        caption.textContent = text
+        caption.style.display = text ? "" : "none"
+    }
+
+    return {
+        /**
+         * @param {object} newTour a tour as described at the top of this file
+         * @returns {string[]} names of the params the tour sets which this globe doesn't have
+         * @throws {TourError} if the tour is invalid
+         */
+        load(newTour) {
+            tour = validateTour(newTour)
+            tracks = buildTracks()
+            playing = false
+            position = 0
+            if (tour.keyframes.length) apply()
+            return tracks.params.map(({ name }) => name).filter((name) => !(name in params))
+        },
+        // @returns {object} the tour, as JSON-able data
+        toJSON() {
+            return tour
+        },
+        get title() {
+            return tour.title
+        },
+        // in seconds, the time of the last keyframe
+        get duration() {
+            return tour.keyframes.length ? tour.keyframes[tour.keyframes.length - 1].at : 0
+        },
+        get position() {
+            return position
+        },
+        get playing() {
+            return playing
+        },
+        // whether the tour sets the simulation time, which the clock shouldn't advance on its own meanwhile
+        get drivesClock() {
+            return playing && tracks.time.length > 0
+        },
+        play() {
+            if (!tour.keyframes.length) return
+            // starts over once at the end
+            if (position >= this.duration) position = 0
+            // applies and clears whatever inertia the damping still holds, so the controls won't drag the camera off course
+            controls.enableDamping = false
+            controls.update()
+            controls.enableDamping = true
+            playing = true
+        },
+        // leaves everything as it is at the current position, e.g. for the user to look around
+        pause() {
+            playing = false
+        },
+        /**
+         * @param {number} time seconds into the tour
+         */
+        seek(time) {
+            if (!tour.keyframes.length) return
+            position = THREE.MathUtils.clamp(time, 0, this.duration)
+            apply()
+        },
+        /**
+         * Appends a keyframe holding the current view: camera, simulation time and rate, and every param
+         * @param {string} text (optional) caption of the keyframe
+         * @returns {object} the keyframe
+         */
+        recordKeyframe(text = "") {
+            const state = serializeViewState({ params, camera, controls, clock })
+            // the rate has its own field, it switches at its keyframe rather than easing
+            const { timeScale, ...recordedParams } = state.params
+            const keyframe = {
+                at: tour.keyframes.length ? this.duration + RECORD_GAP : 0,
+                camera: state.camera,
+                time: state.time,
+                timeScale,
+                params: recordedParams,
+                caption: text
+            }
+            tour = { ...tour, keyframes: [...tour.keyframes, keyframe] }
+            tracks = buildTracks()
+            playing = false
+            position = keyframe.at
+            return keyframe
+        },
+        clear() {
+            this.load({ version: TOUR_VERSION, title: "", keyframes: [] })
+            caption.style.display = "none"
+        },
+        // @param {number} interval - time elapsed between 2 frames
+        update(interval) {
+            if (!playing) return
+            position = Math.min(position + interval, this.duration)
+            apply()
+            if (position >= this.duration) playing = false
+        },
+        dispose() {
+            playing = false
+            caption.remove()
+        }
+    }
+}
@@ -0,0 +1,174 @@
+// Serialization of the whole view (params, camera, simulation time) for deep links in the URL hash and preset files
+
+import * as THREE from "three"
+import { downloadJson } from "./common-utils"
+
+global.THREE = THREE
+
+// bump whenever the shape of the view state changes, and add a migration from the previous version below
+export const VIEW_STATE_VERSION = 2
+
+// migrations[n] upgrades a version n state into a version n + 1 state
+const migrations = {
+    // v2 replaced the fresnel glow of the atmosphere by a scattering model, whose params have no equivalent of the old knobs
+    1: (state) => {
+        const { atmPowFactor, atmMultiplier, ...params } = state.params || {}
+        return { ...state, version: 2, params }
+    }
+}
+
+const HASH_PREFIX = "#view="
+
+export class ViewStateError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = "ViewStateError"
+    }
+}
+
+// params are either plain values or uniform-like { value } objects shared with the shaders
+const isUniform = (param) => param !== null && typeof param === "object" && "value" in param
+
+/**
+ * Collects every controller of a dat.GUI instance, including those in (nested) folders
+ * @param {object} gui dat.GUI instance
+ * @returns {object[]} the controllers
+ */
+const collectControllers = (gui) => {
+    return gui.__controllers.concat(...Object.values(gui.__folders).map(collectControllers))
+}
+
+/**
+ * @param {object} view {params, camera, controls, clock}
+ * @returns {object} the current view state, plain JSON-able data
+ */
+export const serializeViewState = ({ params, camera, controls, clock }) => {
+    return {
+        version: VIEW_STATE_VERSION,
+        params: Object.fromEntries(Object.entries(params).map(([key, param]) => [key, isUniform(param) ? param.value : param])),
+        camera: {
+            position: camera.position.toArray(),
+            target: controls.target.toArray()
+        },
+        time: clock.getDate().toISOString()
+    }
+}
+
+/**
+ * Checks a state coming from a link or a file and upgrades it to the current version
+ * @param {*} state parsed JSON of unknown origin
+ * @returns {object} a valid state of the current version
+ * @throws {ViewStateError} with a message explaining what's wrong
+ */
+export const validateViewState = (state) => {
+    if (state === null || typeof state !== "object" || typeof state.version !== "number") {
+        throw new ViewStateError("Not a view state: the version number is missing")
+    }
+    if (state.version > VIEW_STATE_VERSION) {
+        throw new ViewStateError(`This view was saved by a newer version of the app (v${state.version}, this app understands up to v${VIEW_STATE_VERSION})`)
+    }
+    let upgraded = state
+    while (upgraded.version < VIEW_STATE_VERSION) {
+        const migrate = migrations[upgraded.version]
+        if (!migrate) {
+            throw new ViewStateError(`View state v${upgraded.version} is no longer supported`)
+        }
+        upgraded = migrate(upgraded)
+    }
+
+    const isVector = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite)
+    if (upgraded.params === null || typeof upgraded.params !== "object") {
+        throw new ViewStateError("Invalid view state: 'params' must be an object")
+    }
+    if (!upgraded.camera || !isVector(upgraded.camera.position) || !isVector(upgraded.camera.target)) {
+        throw new ViewStateError("Invalid view state: 'camera' needs a position and a target, each as [x, y, z]")
+    }
+    if (typeof upgraded.time !== "string" || isNaN(new Date(upgraded.time).getTime())) {
+        throw new ViewStateError("Invalid view state: 'time' must be an ISO date string")
+    }
+    return upgraded
+}
+
+/**
+ * Sets params through their GUI controllers when they have one,
+ * so the onChange handlers update the scene the same way as if the user had moved the controls
+ * @param {object} values plain values by param name, as in a view state
+ * @param {object} view {params, gui}
+ * @returns {string[]} names of the params that were skipped, e.g. unknown or of the wrong type
+ */
+export const applyParams = (values, { params, gui }) => {
+    const controllers = collectControllers(gui)
+    const skipped = []
+    for (const [key, value] of Object.entries(values)) {
+        if (!(key in params)) {
+            skipped.push(key)
+            continue
+        }
+        const object = isUniform(params[key]) ? params[key] : params
+        const property = isUniform(params[key]) ? "value" : key
+        if (typeof value !== typeof object[property]) {
+            skipped.push(key)
+            continue
+        }
+        const controller = controllers.find((c) => c.object === object && c.property === property)
+        if (controller) {
+            controller.setValue(value)
+            // text fields act on onFinishChange, which setValue doesn't fire
+            if (controller.__onFinishChange) controller.__onFinishChange.call(controller, value)
+        } else {
+            object[property] = value
+        }
+    }
+    return skipped
+}
+
+/**
+ * Applies a validated state, its params going through applyParams
+ * @param {object} state as returned by validateViewState
+ * @param {object} view {params, camera, controls, clock, gui}
+ * @returns {string[]} names of the params that were skipped, e.g. unknown or of the wrong type
+ */
+export const applyViewState = (state, { params, camera, controls, clock, gui }) => {
+    const skipped = applyParams(state.params, { params, gui })
+
+    camera.position.fromArray(state.camera.position)
+    controls.target.fromArray(state.camera.target)
+    controls.update()
+    clock.setDate(new Date(state.time))
+    return skipped
+}
+
+/**
+ * @param {object} state
+ * @returns {string} URL hash holding the state, as base64url encoded JSON
+ */
+export const encodeViewState = (state) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(state))
+    const base64 = btoa(String.fromCharCode(...bytes))
+    return HASH_PREFIX + base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+/**
+ * @param {string} hash location.hash
+ * @returns {object|null} the parsed, not yet validated, state; null if the hash holds no view state
+ * @throws {ViewStateError} when the hash is garbled
+ */
+export const decodeViewState = (hash) => {
+    if (!hash.startsWith(HASH_PREFIX)) return null
+    try {
+        const base64 = hash.slice(HASH_PREFIX.length).replace(/-/g, "+").replace(/_/g, "/")
+        const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0))
+        return JSON.parse(new TextDecoder().decode(bytes))
+    } catch (error) {
+        throw new ViewStateError("The link is damaged, its view state can't be read")
+    }
+}
+
+/**
+ * Offers the state as a JSON file download
+ * @param {object} state
+ * @param {string} name name of the preset, also used as the file name
+ */
+export const downloadPreset = (state, name) => {
+    downloadJson({ name, ...state }, name)
+}
@@ -0,0 +1,332 @@
+// Wind: particles carried over the globe by a gridded u/v wind field, leaving fading trails colored by the wind speed
+
+import * as THREE from "three"
+import { latLonToVector3 } from "./geo-utils"
+import { RAMPS } from "./data-layer"
+import windVertexShader from "./shaders/wind-vertex.glsl"
+import windFragmentShader from "./shaders/wind-fragment.glsl"
+
+global.THREE = THREE
+
+// the particles flow between the surface (10) and the cloud shell (10.05)
+const WIND_RADIUS = 10.02
+// particles move in fixed steps, so the trails look the same at any frame rate
+const STEP_RATE = 30
+const RAMP_SIZE = 256
+// stamp of the segments not drawn yet, old enough to be faded out whatever the trail length
+const NEVER = -1e6
+
+/**
+ * @param {string|File} source url or a File picked by the user
+ * @returns {string} the file name
+ */
+const sourceName = (source) => source instanceof File ? source.name : source.split("/").pop()
+
+/**
+ * Loads a wind field, the eastward (u) and northward (v) components of the wind in m/s on a lat/lon grid, either
+ * a JSON { width, height, u, v, bounds? } with rows from north to south and bounds as [west, south, east, north],
+ * the JSON output of grib2json (as used by earth.nullschool), an array holding the U and V records with their headers,
+ * or a PNG with u in its red channel and v in its green one, scaled from 0..255 to the ranges given in meta
+ * @param {string|File} source url or a File picked by the user
+ * @param {object} meta for PNGs: {uMin, uMax, vMin, vMax, bounds?}, e.g. the JSON that comes along the PNGs of webgl-wind
+ * @returns {Promise<object>} {width, height, u, v, bounds}, u and v as Float32Arrays with NaN where there's no data
+ */
+export const loadWindField = async (source, meta = {}) => {
+    if (/\.png$/i.test(sourceName(source))) {
+        if (![meta.uMin, meta.uMax, meta.vMin, meta.vMax].every(Number.isFinite)) {
+            throw new Error("A wind PNG needs the ranges of its components (uMin, uMax, vMin, vMax), e.g. from the JSON that comes along")
+        }
+        const blob = source instanceof File ? source : await (await fetch(source)).blob()
+        const bitmap = await createImageBitmap(blob)
+        const canvas = document.createElement("canvas")
+        canvas.width = bitmap.width
+        canvas.height = bitmap.height
+        const ctx = canvas.getContext("2d")
+        ctx.drawImage(bitmap, 0, 0)
+        const pixels = ctx.getImageData(0, 0, bitmap.width, bitmap.height).data
+        const u = new Float32Array(bitmap.width * bitmap.height)
+        const v = new Float32Array(bitmap.width * bitmap.height)
+        for (let i = 0; i < u.length; i++) {
+            const noData = pixels[i * 4 + 3] === 0
+            u[i] = noData ? NaN : meta.uMin + pixels[i * 4] / 255 * (meta.uMax - meta.uMin)
+            v[i] = noData ? NaN : meta.vMin + pixels[i * 4 + 1] / 255 * (meta.vMax - meta.vMin)
+        }
+        return { width: bitmap.width, height: bitmap.height, u, v, bounds: meta.bounds || [-180, -90, 180, 90] }
+    }
+
+    const json = JSON.parse(source instanceof File ? await source.text() : await (await fetch(source)).text())
+    const toValues = (values) => Float32Array.from(values, (value) => value === null ? NaN : value)
+
+    if (Array.isArray(json)) {
+        // grib2json records, U and V are parameters 2 and 3 of the momentum category (2)
+        const record = (number) => json.find(({ header }) => header && header.parameterCategory === 2 && header.parameterNumber === number)
+        const uRecord = record(2)
+        const vRecord = record(3)
+        if (!uRecord || !vRecord) throw new Error("The records of the U and V components of the wind were not found")
+        const { nx, ny, lo1, la1, dx, dy } = uRecord.header
+        // the records give the centers of the first cell and the spacing, the bounds are the outer edges of the cells
+        const west = lo1 - dx / 2
+        const north = la1 + dy / 2
+        return { width: nx, height: ny, u: toValues(uRecord.data), v: toValues(vRecord.data), bounds: [west, north - ny * dy, west + nx * dx, north] }
+    }
+
+    const { width, height } = json
+    const u = Array.isArray(json.u && json.u[0]) ? json.u.flat() : json.u
+    const v = Array.isArray(json.v && json.v[0]) ? json.v.flat() : json.v
+    if (!width || !height || !u || !v || u.length !== width * height || v.length !== width * height) {
+        throw new Error(`The wind field needs ${width} x ${height} values of both u and v`)
+    }
+    return { width, height, u: toValues(u), v: toValues(v), bounds: json.bounds || [-180, -90, 180, 90] }
+}
+
+/**
+ * Bilinear interpolation of the wind at a place, wrapping around the antimeridian when the field covers all longitudes
+ * @param {object} field see loadWindField
+ * @param {number} lat
+ * @param {number} lon
+ * @param {THREE.Vector2} target receives (u, v)
+ * @returns {THREE.Vector2|null} the target, or null outside of the field or where it has no data
+ */
+export const sampleWind = (field, lat, lon, target) => {
+    const { width, height, u, v } = field
+    const [west, south, east, north] = field.bounds
+    const wraps = east - west >= 360
+    // cell centers are half a cell in from the edges
+    const x = THREE.MathUtils.euclideanModulo(lon - west, 360) / (east - west) * width - 0.5
+    const y = (north - lat) / (north - south) * height - 0.5
+    if (y < -0.5 || y > height - 0.5 || (!wraps && (x < -0.5 || x > width - 0.5))) return null
+
+    const x0 = Math.floor(x)
+    const y0 = Math.floor(y)
+    const fx = x - x0
+    const fy = y - y0
+    const column = (i) => wraps ? THREE.MathUtils.euclideanModulo(i, width) : THREE.MathUtils.clamp(i, 0, width - 1)
+    const row = (j) => THREE.MathUtils.clamp(j, 0, height - 1)
+    const i00 = row(y0) * width + column(x0)
+    const i10 = row(y0) * width + column(x0 + 1)
+    const i01 = row(y0 + 1) * width + column(x0)
+    const i11 = row(y0 + 1) * width + column(x0 + 1)
+    const mix = (values) => (values[i00] * (1 - fx) + values[i10] * fx) * (1 - fy) + (values[i01] * (1 - fx) + values[i11] * fx) * fy
+    target.set(mix(u), mix(v))
+    return Number.isNaN(target.x) || Number.isNaN(target.y) ? null : target
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so the same field and seed always give the same particles
+ * @param {number} seed
+ * @returns {function} returns numbers in [0, 1) like Math.random
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+/**
+ * Creates the wind layer, the trails are a child of the globe so they rotate along with it
+ * @param {object} globe the globe mesh, or a group turning with it, normally the overlays of the earth
+ * @param {object} options (optional)
+ * @param {number} options.count number of particles
+ * @param {number} options.speedScale degrees the particles travel per second for every m/s of wind
+ * @param {number} options.trailLength in steps, 30 steps per second
+ * @param {number} options.opacity
+ * @param {string} options.ramp name of a ramp of RAMPS the speeds are colored with
+ * @param {function} options.onChange called whenever a field got set or cleared, e.g. to request a redraw
+ * @param {number} options.seed seed of the places the particles spawn at, the particles start over from it whenever they get rebuilt
+ * @returns {object} the layer
+ */
+export const createWindLayer = (globe, { count = 5000, speedScale = 0.3, trailLength = 20, opacity = 0.9, ramp = "coolwarm", onChange = () => { }, seed = 1 } = {}) => {
+    let field = null
+    let visible = true
+    let maxSpeed = 1
+    // per particle: lat, lon, age and lifetime in steps
+    let particles = new Float32Array(0)
+    // trails are kept in a ring of trailLength slots of one segment per particle, head is the slot written next
+    let head = 0
+    let stepCount = 0
+    let pendingSteps = 0
+    // reset by rebuild(), so that exports of the same field are the same
+    let random = createRandom(seed)
+
+    // colors of the ramp, in linear space
+    const rampColors = []
+    const stops = RAMPS[ramp].stops.map((stop) => new THREE.Color(stop))
+    for (let i = 0; i < RAMP_SIZE; i++) {
+        const t = i / (RAMP_SIZE - 1) * (stops.length - 1)
+        const stop = Math.min(Math.floor(t), stops.length - 2)
+        rampColors.push(new THREE.Color().lerpColors(stops[stop], stops[stop + 1], t - stop))
+    }
+
+    const material = new THREE.ShaderMaterial({
+        vertexShader: windVertexShader,
+        fragmentShader: windFragmentShader,
+        uniforms: {
+            currentStep: { value: 0 },
+            trailLength: { value: trailLength },
+            windOpacity: { value: opacity }
+        },
+        transparent: true,
+        depthWrite: false
+    })
+    const mesh = new THREE.LineSegments(new THREE.BufferGeometry(), material)
+    // the segments get written every step, the bounding sphere of the geometry is never up to date
+    mesh.frustumCulled = false
+    globe.add(mesh)
+
+    const from = new THREE.Vector3()
+    const to = new THREE.Vector3()
+    const wind = new THREE.Vector2()
+
+    /**
+     * Puts a particle at a random place of the field, places spread evenly over the sphere
+     * @param {number} i index of the particle
+     * @param {number} age steps it has lived already, spread at the start so the particles don't all die at once
+     */
+    const respawn = (i, age = 0) => {
+        const [west, south, east, north] = field ? field.bounds : [-180, -90, 180, 90]
+        const sinSouth = Math.sin(THREE.MathUtils.degToRad(Math.max(south, -90)))
+        const sinNorth = Math.sin(THREE.MathUtils.degToRad(Math.min(north, 90)))
+        particles[i * 4] = THREE.MathUtils.radToDeg(Math.asin(sinSouth + random() * (sinNorth - sinSouth)))
+        particles[i * 4 + 1] = west + random() * (east - west)
+        particles[i * 4 + 2] = age
+        particles[i * 4 + 3] = 40 + random() * 60
+    }
+
+    const rebuild = () => {
+        random = createRandom(seed)
+        particles = new Float32Array(count * 4)
+        for (let i = 0; i < count; i++) respawn(i, random() * 100)
+        head = 0
+        stepCount = 0
+        pendingSteps = 0
+        material.uniforms.currentStep.value = 0
+        material.uniforms.trailLength.value = trailLength
+
+        const vertexCount = count * trailLength * 2
+        const geometry = new THREE.BufferGeometry()
+        geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3).setUsage(THREE.DynamicDrawUsage))
+        geometry.setAttribute("speedColor", new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3).setUsage(THREE.DynamicDrawUsage))
+        geometry.setAttribute("stamp", new THREE.BufferAttribute(new Float32Array(vertexCount).fill(NEVER), 1).setUsage(THREE.DynamicDrawUsage))
+        mesh.geometry.dispose()
+        mesh.geometry = geometry
+    }
+
+    // moves every particle one step, writing the segments of the step into the slot at the head of the ring
+    const advance = () => {
+        const { position, speedColor, stamp } = mesh.geometry.attributes
+        const first = head * count * 2
+        const degreesPerStep = speedScale / STEP_RATE
+        stepCount++
+
+        for (let i = 0; i < count; i++) {
+            const vertex = first + i * 2
+            const lat = particles[i * 4]
+            const lon = particles[i * 4 + 1]
+            particles[i * 4 + 2]++
+            if (particles[i * 4 + 2] > particles[i * 4 + 3] || !sampleWind(field, lat, lon, wind)) {
+                // the jump to the new place isn't drawn
+                respawn(i)
+                stamp.array[vertex] = stamp.array[vertex + 1] = NEVER
+                continue
+            }
+
+            const newLat = lat + wind.y * degreesPerStep
+            // a degree of longitude gets shorter towards the poles, the cap avoids leaps right at them
+            const newLon = lon + wind.x * degreesPerStep / Math.max(Math.cos(THREE.MathUtils.degToRad(lat)), 0.05)
+            if (Math.abs(newLat) > 90) {
+                respawn(i)
+                stamp.array[vertex] = stamp.array[vertex + 1] = NEVER
+                continue
+            }
+            particles[i * 4] = newLat
+            particles[i * 4 + 1] = THREE.MathUtils.euclideanModulo(newLon + 180, 360) - 180
+
+            latLonToVector3(lat, lon, WIND_RADIUS, from)
+            latLonToVector3(newLat, newLon, WIND_RADIUS, to)
+            from.toArray(position.array, vertex * 3)
+            to.toArray(position.array, vertex * 3 + 3)
+            const color = rampColors[Math.min(RAMP_SIZE - 1, Math.floor(wind.length() / maxSpeed * (RAMP_SIZE - 1)))]
+            color.toArray(speedColor.array, vertex * 3)
+            color.toArray(speedColor.array, vertex * 3 + 3)
+            stamp.array[vertex] = stamp.array[vertex + 1] = stepCount
+        }
+
+        // only the slot just written gets uploaded
+        position.addUpdateRange(first * 3, count * 6)
+        speedColor.addUpdateRange(first * 3, count * 6)
+        stamp.addUpdateRange(first, count * 2)
+        position.needsUpdate = speedColor.needsUpdate = stamp.needsUpdate = true
+        head = (head + 1) % trailLength
+    }
+
+    rebuild()
+    // nothing to draw until a field is set
+    mesh.visible = false
+
+    return {
+        mesh,
+        /**
+         * @param {object} newField see loadWindField
+         */
+        setField(newField) {
+            field = newField
+            // the colors span the speeds of the field
+            maxSpeed = 1
+            for (let i = 0; i < field.u.length; i++) {
+                const speed = Math.hypot(field.u[i], field.v[i])
+                if (speed > maxSpeed) maxSpeed = speed
+            }
+            rebuild()
+            mesh.visible = visible
+            onChange()
+        },
+        clear() {
+            field = null
+            rebuild()
+            mesh.visible = false
+            onChange()
+        },
+        // whether the particles are moving, i.e. the layer needs to be redrawn every frame
+        get animating() {
+            return mesh.visible
+        },
+        setCount(newCount) {
+            count = newCount
+            rebuild()
+        },
+        setSpeedScale(scale) {
+            speedScale = scale
+        },
+        setTrailLength(length) {
+            trailLength = length
+            rebuild()
+        },
+        setOpacity(value) {
+            material.uniforms.windOpacity.value = value
+        },
+        // @param {number} delta - seconds since the last frame
+        update(delta) {
+            if (!this.animating) return
+            pendingSteps += delta * STEP_RATE
+            // after a long pause (e.g. a background tab), the particles skip ahead rather than catching up
+            const steps = Math.min(Math.floor(pendingSteps), 4)
+            pendingSteps -= Math.floor(pendingSteps)
+            for (let i = 0; i < steps; i++) advance()
+            material.uniforms.currentStep.value = stepCount
+        },
+        setVisible(value) {
+            visible = value
+            mesh.visible = visible && field !== null
+        },
+        dispose() {
+            globe.remove(mesh)
+            mesh.geometry.dispose()
+            material.dispose()
+        }
+    }
+}